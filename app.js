@@ -1,9 +1,17 @@
+const { ipcRenderer } = require('electron');
+
 class Fretlearner {
     constructor() {
         // Initialize components
         this.audioDetector = new AudioDetector();
         this.fretboard = new Fretboard('fretboard');
-        this.learningEngine = new LearningEngine();
+        this.tuner = new Tuner('tunerCanvas');
+        this.staff = new Staff('staffCanvas');
+        this.intonation = new IntonationTracker();
+        this.recorder = new SessionRecorder();
+        this.store = new StoreClient(ipcRenderer);
+        this.profiles = new ProfileManager(this.store);
+        this.learningEngine = new LearningEngine(this.fretboard, this.profiles);
 
         // State
         this.isAudioActive = false;
@@ -11,34 +19,138 @@ class Fretlearner {
         this.lastDetectedNote = null;
         this.feedbackTimeout = null;
         this.isTestingMode = false;
+        this.isTunerOpen = false;
+        this.pendingIntonation = null; // Right note detected, waiting for it to be held in tune
+        this.pendingChord = null;      // Partial strum reading, graded when it ends
+        this.lastGradedChord = null;
+        this.testChordNotes = [];      // Notes clicked towards a chord in testing mode
+        this.calibration = null;       // Running microphone calibration (see calibration.js)
+        this.calibrationResult = null; // Thresholds it derived, until saved
+        this.analysis = null;          // Last recording analysis: { file, duration, notes }
+        this.recording = null;         // Last recorded session: { blob, url, duration, events, ... }
+        this.reviewIndex = -1;         // Event highlighted in the review, -1 before the first
+        this.tabTitle = null;          // Name of the file loaded into the tab import box
         this.lastKeyWasSharp = false;
         this.lastKeyWasFlat = false;
         this.isWaitingForSilence = false; // Wait for note to release before next note
         this.waitingForSilenceTimeout = null;
         this.releasePromptTimeout = null;
+        this.isHeatmapActive = false;
+        this.selectedHeatmapCell = null;
 
         // UI elements
         this.elements = {
+            // Profiles
+            profileSelect: document.getElementById('profileSelect'),
+            manageProfilesBtn: document.getElementById('manageProfilesBtn'),
+            profileOverlay: document.getElementById('profileOverlay'),
+            profileList: document.getElementById('profileList'),
+            profileNameInput: document.getElementById('profileNameInput'),
+            createProfileBtn: document.getElementById('createProfileBtn'),
+            renameProfileBtn: document.getElementById('renameProfileBtn'),
+            closeProfilesBtn: document.getElementById('closeProfilesBtn'),
+
             // Audio controls
             audioInput: document.getElementById('audioInput'),
             startAudioBtn: document.getElementById('startAudioBtn'),
             stopAudioBtn: document.getElementById('stopAudioBtn'),
 
+            // Tuner
+            openTunerBtn: document.getElementById('openTunerBtn'),
+            tunerOverlay: document.getElementById('tunerOverlay'),
+            tunerHint: document.getElementById('tunerHint'),
+            tunerStrings: document.getElementById('tunerStrings'),
+            a4Frequency: document.getElementById('a4Frequency'),
+            pitchAlgorithm: document.getElementById('pitchAlgorithm'),
+            closeTunerBtn: document.getElementById('closeTunerBtn'),
+
+            // Calibration
+            calibrateBtn: document.getElementById('calibrateBtn'),
+            calibrationInfo: document.getElementById('calibrationInfo'),
+            calibrationOverlay: document.getElementById('calibrationOverlay'),
+            calibrationDevice: document.getElementById('calibrationDevice'),
+            calibrationInstruction: document.getElementById('calibrationInstruction'),
+            calibrationProgress: document.getElementById('calibrationProgress'),
+            calibrationResults: document.getElementById('calibrationResults'),
+            skipCalibrationStringBtn: document.getElementById('skipCalibrationStringBtn'),
+            saveCalibrationBtn: document.getElementById('saveCalibrationBtn'),
+            restartCalibrationBtn: document.getElementById('restartCalibrationBtn'),
+            resetCalibrationBtn: document.getElementById('resetCalibrationBtn'),
+            closeCalibrationBtn: document.getElementById('closeCalibrationBtn'),
+
+            // Recording analysis
+            analyseRecordingBtn: document.getElementById('analyseRecordingBtn'),
+            recordingFile: document.getElementById('recordingFile'),
+            analysisOverlay: document.getElementById('analysisOverlay'),
+            analysisStatus: document.getElementById('analysisStatus'),
+            analysisProgress: document.getElementById('analysisProgress'),
+            analysisNotes: document.getElementById('analysisNotes'),
+            exportAnalysisCsvBtn: document.getElementById('exportAnalysisCsvBtn'),
+            exportAnalysisJsonBtn: document.getElementById('exportAnalysisJsonBtn'),
+            closeAnalysisBtn: document.getElementById('closeAnalysisBtn'),
+
             // Learning controls
             startLearningBtn: document.getElementById('startLearningBtn'),
             pauseLearningBtn: document.getElementById('pauseLearningBtn'),
 
+            // Session recording
+            recordSessionToggle: document.getElementById('recordSessionToggle'),
+            reviewRecordingBtn: document.getElementById('reviewRecordingBtn'),
+            reviewOverlay: document.getElementById('reviewOverlay'),
+            reviewStatus: document.getElementById('reviewStatus'),
+            reviewAudio: document.getElementById('reviewAudio'),
+            reviewTimeline: document.getElementById('reviewTimeline'),
+            reviewEvents: document.getElementById('reviewEvents'),
+            saveRecordingBtn: document.getElementById('saveRecordingBtn'),
+            exportTimelineBtn: document.getElementById('exportTimelineBtn'),
+            closeReviewBtn: document.getElementById('closeReviewBtn'),
+
             // Settings
             noteRepetitions: document.getElementById('noteRepetitions'),
             repeatCount: document.getElementById('repeatCount'),
             randomRounds: document.getElementById('randomRounds'),
+            strictPositionToggle: document.getElementById('strictPositionToggle'),
+            notationToggle: document.getElementById('notationToggle'),
+            intonationToggle: document.getElementById('intonationToggle'),
+            intonationTolerance: document.getElementById('intonationTolerance'),
+            intonationHold: document.getElementById('intonationHold'),
+            schedulingSelect: document.getElementById('schedulingSelect'),
             modeSelect: document.getElementById('modeSelect'),
+            exerciseSelect: document.getElementById('exerciseSelect'),
+            scaleSettings: document.getElementById('scaleSettings'),
+            scaleTypeSelect: document.getElementById('scaleTypeSelect'),
+            scaleKeySelect: document.getElementById('scaleKeySelect'),
+            scalePositionSelect: document.getElementById('scalePositionSelect'),
+            importTabBtn: document.getElementById('importTabBtn'),
+            tabImportOverlay: document.getElementById('tabImportOverlay'),
+            tabText: document.getElementById('tabText'),
+            tabFile: document.getElementById('tabFile'),
+            tabImportStatus: document.getElementById('tabImportStatus'),
+            loadTabFileBtn: document.getElementById('loadTabFileBtn'),
+            confirmTabImportBtn: document.getElementById('confirmTabImportBtn'),
+            closeTabImportBtn: document.getElementById('closeTabImportBtn'),
+
+            // Instrument and tuning
+            instrumentSelect: document.getElementById('instrumentSelect'),
+            tuningSelect: document.getElementById('tuningSelect'),
+            tuningEditor: document.getElementById('tuningEditor'),
+            tuningEditorStrings: document.getElementById('tuningEditorStrings'),
+            applyTuningBtn: document.getElementById('applyTuningBtn'),
+
+            // Neck range
+            fretCount: document.getElementById('fretCount'),
+            positionWindowToggle: document.getElementById('positionWindowToggle'),
+            windowStart: document.getElementById('windowStart'),
+            windowEnd: document.getElementById('windowEnd'),
 
             // Display
+            currentTuning: document.getElementById('currentTuning'),
             currentMode: document.getElementById('currentMode'),
             currentString: document.getElementById('currentString'),
             progressInfo: document.getElementById('progressInfo'),
+            flashcardPrompt: document.getElementById('flashcardPrompt'),
             targetNote: document.getElementById('targetNote'),
+            staffCanvas: document.getElementById('staffCanvas'),
             targetString: document.getElementById('targetString'),
             feedbackMessage: document.getElementById('feedbackMessage'),
             detectedNote: document.getElementById('detectedNote'),
@@ -51,10 +163,28 @@ class Fretlearner {
             accuracy: document.getElementById('accuracy'),
             progressBar: document.getElementById('progressBar'),
 
+            // Response time
+            latencyMedian: document.getElementById('latencyMedian'),
+            latencyP90: document.getElementById('latencyP90'),
+            slowestNotes: document.getElementById('slowestNotes'),
+            latencyTrend: document.getElementById('latencyTrend'),
+
             // Reset
             resetLevelBtn: document.getElementById('resetLevelBtn'),
             resetAllBtn: document.getElementById('resetAllBtn'),
 
+            // History
+            openHistoryBtn: document.getElementById('openHistoryBtn'),
+            historyOverlay: document.getElementById('historyOverlay'),
+            historyList: document.getElementById('historyList'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            exportJsonBtn: document.getElementById('exportJsonBtn'),
+            closeHistoryBtn: document.getElementById('closeHistoryBtn'),
+
+            // Backup
+            exportBackupBtn: document.getElementById('exportBackupBtn'),
+            importBackupBtn: document.getElementById('importBackupBtn'),
+
             // Overlay
             welcomeOverlay: document.getElementById('welcomeOverlay'),
             closeWelcomeBtn: document.getElementById('closeWelcomeBtn'),
@@ -63,14 +193,21 @@ class Fretlearner {
             testingModeToggle: document.getElementById('testingModeToggle'),
             testingControls: document.getElementById('testingControls'),
 
+            // Heatmap
+            heatmapToggle: document.getElementById('heatmapToggle'),
+            heatmapDetails: document.getElementById('heatmapDetails'),
+
             // Focus mode
             focusModeToggle: document.getElementById('focusModeToggle'),
             fretboardContainer: document.querySelector('.fretboard-container'),
             flashcardContainer: document.querySelector('.flashcard-container')
         };
 
+        this.populateProfiles();
+        this.setupTuningControls();
         this.setupEventListeners();
         this.setupCallbacks();
+        this.restoreInstrument();
         this.loadAudioDevices();
         this.updateUI();
     }
@@ -79,6 +216,43 @@ class Fretlearner {
         // Audio controls
         this.elements.startAudioBtn.addEventListener('click', () => this.startAudio());
         this.elements.stopAudioBtn.addEventListener('click', () => this.stopAudio());
+        this.elements.audioInput.addEventListener('change', (e) => this.applyDeviceCalibration(e.target.value));
+
+        // Calibration
+        this.elements.calibrateBtn.addEventListener('click', () => this.showCalibration());
+        this.elements.skipCalibrationStringBtn.addEventListener('click', () => {
+            this.calibration.skip();
+            this.renderCalibration();
+        });
+        this.elements.saveCalibrationBtn.addEventListener('click', () => this.saveCalibration());
+        this.elements.restartCalibrationBtn.addEventListener('click', () => this.startCalibration());
+        this.elements.resetCalibrationBtn.addEventListener('click', () => this.resetCalibration());
+        this.elements.closeCalibrationBtn.addEventListener('click', () => this.closeCalibration());
+
+        // Recording analysis
+        this.elements.analyseRecordingBtn.addEventListener('click', () => this.elements.recordingFile.click());
+        this.elements.recordingFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Choosing the same file again still fires 'change'
+            if (file) this.analyseRecording(file);
+        });
+        this.elements.exportAnalysisCsvBtn.addEventListener('click', () => this.exportAnalysis('csv'));
+        this.elements.exportAnalysisJsonBtn.addEventListener('click', () => this.exportAnalysis('json'));
+        this.elements.closeAnalysisBtn.addEventListener('click', () => {
+            this.elements.analysisOverlay.classList.add('hidden');
+        });
+
+        // Tuner
+        this.elements.openTunerBtn.addEventListener('click', () => this.showTuner());
+        this.elements.closeTunerBtn.addEventListener('click', () => this.hideTuner());
+        this.elements.a4Frequency.addEventListener('change', (e) => {
+            this.applyA4Frequency(parseFloat(e.target.value) || 440);
+        });
+
+        // Pitch detection
+        this.elements.pitchAlgorithm.addEventListener('change', (e) => {
+            this.applyPitchAlgorithm(e.target.value);
+        });
 
         // Learning controls
         this.elements.startLearningBtn.addEventListener('click', () => this.startLearning());
@@ -100,16 +274,146 @@ class Fretlearner {
             this.updateUI();
         });
 
+        this.elements.strictPositionToggle.addEventListener('change', (e) => {
+            this.learningEngine.setStrictPosition(e.target.checked);
+        });
+
+        this.elements.notationToggle.addEventListener('change', (e) => {
+            this.learningEngine.setNotation(e.target.checked);
+            this.showCurrentNote();
+        });
+
+        this.elements.intonationToggle.addEventListener('change', (e) => {
+            this.learningEngine.setIntonation(e.target.checked);
+        });
+
+        this.elements.intonationTolerance.addEventListener('change', (e) => {
+            this.learningEngine.setIntonationTolerance(parseInt(e.target.value) || 15);
+            this.updateUI();
+        });
+
+        this.elements.intonationHold.addEventListener('change', (e) => {
+            this.learningEngine.setIntonationHold(parseInt(e.target.value) || 0);
+            this.updateUI();
+        });
+
+        this.elements.schedulingSelect.addEventListener('change', (e) => {
+            this.learningEngine.setSchedulingMode(e.target.value);
+            this.updateUI();
+            this.showCurrentNote();
+        });
+
         this.elements.modeSelect.addEventListener('change', (e) => {
             this.learningEngine.setMode(e.target.value);
             this.updateUI();
             this.showCurrentNote();
         });
 
+        this.elements.exerciseSelect.addEventListener('change', (e) => {
+            if (e.target.value === 'tab' && !this.learningEngine.tab) {
+                this.showTabImport();
+            }
+            this.learningEngine.setExerciseType(e.target.value);
+            this.audioDetector.setPolyphonic(this.learningEngine.isChordExercise());
+            this.updateUI();
+            this.showCurrentNote();
+        });
+
+        // Tab import
+        this.elements.importTabBtn.addEventListener('click', () => this.showTabImport());
+        this.elements.loadTabFileBtn.addEventListener('click', () => this.elements.tabFile.click());
+        this.elements.tabFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadTabFile(file);
+        });
+        this.elements.confirmTabImportBtn.addEventListener('click', () => this.importTab());
+        this.elements.closeTabImportBtn.addEventListener('click', () => {
+            this.elements.tabImportOverlay.classList.add('hidden');
+        });
+
+        this.elements.scaleTypeSelect.addEventListener('change', (e) => {
+            this.learningEngine.setScaleType(e.target.value);
+            this.updateUI();
+            this.showCurrentNote();
+        });
+
+        this.elements.scaleKeySelect.addEventListener('change', (e) => {
+            this.learningEngine.setScaleKey(e.target.value);
+            this.updateUI();
+            this.showCurrentNote();
+        });
+
+        this.elements.scalePositionSelect.addEventListener('change', (e) => {
+            this.learningEngine.setScalePosition(e.target.value);
+            this.updateUI();
+            this.showCurrentNote();
+        });
+
+        // Instrument and tuning
+        this.elements.instrumentSelect.addEventListener('change', (e) => {
+            this.elements.tuningEditor.classList.add('hidden');
+            this.applyInstrument(Instrument.fromId(e.target.value));
+        });
+
+        this.elements.tuningSelect.addEventListener('change', (e) => {
+            if (e.target.value === 'custom') {
+                this.renderTuningEditor(this.learningEngine.tuning);
+                this.elements.tuningEditor.classList.remove('hidden');
+            } else {
+                this.elements.tuningEditor.classList.add('hidden');
+                this.applyTuning(Tuning.fromPreset(e.target.value));
+            }
+        });
+
+        this.elements.applyTuningBtn.addEventListener('click', () => this.applyCustomTuning());
+
+        // Neck range
+        this.elements.fretCount.addEventListener('change', (e) => {
+            this.applyFretCount(parseInt(e.target.value));
+        });
+
+        this.elements.positionWindowToggle.addEventListener('change', () => this.applyPositionWindow());
+        this.elements.windowStart.addEventListener('change', () => this.applyPositionWindow());
+        this.elements.windowEnd.addEventListener('change', () => this.applyPositionWindow());
+
         // Reset controls
         this.elements.resetLevelBtn.addEventListener('click', () => this.resetLevel());
         this.elements.resetAllBtn.addEventListener('click', () => this.resetAll());
 
+        // History overlay
+        this.elements.openHistoryBtn.addEventListener('click', () => this.showHistory());
+        this.elements.closeHistoryBtn.addEventListener('click', () => {
+            this.elements.historyOverlay.classList.add('hidden');
+        });
+        this.elements.exportCsvBtn.addEventListener('click', () => this.exportHistory('csv'));
+        this.elements.exportJsonBtn.addEventListener('click', () => this.exportHistory('json'));
+
+        // Session recording review
+        this.elements.recordSessionToggle.disabled = !SessionRecorder.isSupported();
+        this.elements.reviewRecordingBtn.addEventListener('click', () => this.showRecordingReview());
+        this.elements.reviewAudio.addEventListener('timeupdate', () => this.updateReviewPosition());
+        this.elements.reviewTimeline.addEventListener('click', (e) => {
+            const bounds = this.elements.reviewTimeline.getBoundingClientRect();
+            this.seekReview((e.clientX - bounds.left) / bounds.width * this.recording.duration);
+        });
+        this.elements.saveRecordingBtn.addEventListener('click', () => this.saveRecording());
+        this.elements.exportTimelineBtn.addEventListener('click', () => this.exportTimeline());
+        this.elements.closeReviewBtn.addEventListener('click', () => this.closeRecordingReview());
+
+        // Backup
+        this.elements.exportBackupBtn.addEventListener('click', () => this.exportBackup());
+        this.elements.importBackupBtn.addEventListener('click', () => this.importBackup());
+
+        // Profiles
+        this.elements.profileSelect.addEventListener('change', (e) => this.switchProfile(e.target.value));
+        this.elements.manageProfilesBtn.addEventListener('click', () => this.showProfiles());
+        this.elements.createProfileBtn.addEventListener('click', () => this.createProfile());
+        this.elements.renameProfileBtn.addEventListener('click', () => this.renameProfile());
+        this.elements.closeProfilesBtn.addEventListener('click', () => {
+            this.elements.profileOverlay.classList.add('hidden');
+        });
+
         // Welcome overlay
         this.elements.closeWelcomeBtn.addEventListener('click', () => {
             this.elements.welcomeOverlay.classList.add('hidden');
@@ -120,6 +424,17 @@ class Fretlearner {
             this.toggleTestingMode(e.target.checked);
         });
 
+        // Heatmap overlay
+        this.elements.heatmapToggle.addEventListener('change', (e) => {
+            this.toggleHeatmap(e.target.checked);
+        });
+
+        this.fretboard.onCellClick = (string, fret) => {
+            if (this.isHeatmapActive) {
+                this.showCellHistory(string, fret);
+            }
+        };
+
         // Focus mode
         this.elements.focusModeToggle.addEventListener('change', (e) => {
             this.toggleFocusMode(e.target.checked);
@@ -183,22 +498,42 @@ class Fretlearner {
     setupCallbacks() {
         // Audio detector callbacks
         this.audioDetector.onNoteDetected = (noteInfo) => {
+            if (this.isTunerOpen) {
+                this.tuner.update(noteInfo);
+            }
+
             if (noteInfo) {
                 this.elements.detectedNote.textContent = `${noteInfo.name}${noteInfo.octave}`;
                 this.elements.frequencyDisplay.textContent = `${noteInfo.frequency.toFixed(2)} Hz`;
 
                 // Check if this matches our target (only when learning is active and not waiting for silence)
-                if (this.isLearningActive && !this.isWaitingForSilence && noteInfo.name !== this.lastDetectedNote) {
-                    this.lastDetectedNote = noteInfo.name;
-                    this.checkPlayedNote(noteInfo.name);
+                // Compare with octave so an octave jump is graded again in strict position mode
+                // Chord exercises are graded from onChordDetected instead
+                if (this.isLearningActive && !this.isWaitingForSilence) {
+                    if (noteInfo.displayNote !== this.lastDetectedNote) {
+                        this.lastDetectedNote = noteInfo.displayNote;
+                        this.recorder.mark('detection', noteInfo.displayNote, { cents: noteInfo.cents });
+                        if (!this.learningEngine.isChordExercise()) {
+                            this.handleDetectedNote(noteInfo);
+                        }
+                    } else if (this.pendingIntonation) {
+                        this.updateIntonation(noteInfo);
+                    }
                 }
             } else {
+                // A right note released before it was held in tune
+                this.finishIntonation();
+
                 this.elements.detectedNote.textContent = '-';
                 this.elements.frequencyDisplay.textContent = '-';
                 this.lastDetectedNote = null;
             }
         };
 
+        this.audioDetector.onChordDetected = (chord) => {
+            this.handleDetectedChord(chord);
+        };
+
         this.audioDetector.onVolumeChange = (volume) => {
             this.elements.volumeBar.style.width = volume + '%';
         };
@@ -251,6 +586,185 @@ class Fretlearner {
         };
     }
 
+    setupTuningControls() {
+        const instrumentSelect = this.elements.instrumentSelect;
+        instrumentSelect.innerHTML = '';
+
+        Instrument.getProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.text = profile.name;
+            instrumentSelect.appendChild(option);
+        });
+    }
+
+    // Tuning presets depend on the instrument's string count
+    populateTuningPresets(instrument) {
+        const select = this.elements.tuningSelect;
+        select.innerHTML = '';
+
+        Tuning.getPresets(instrument.id).forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.text = preset.name;
+            select.appendChild(option);
+        });
+
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.text = 'Custom...';
+        select.appendChild(custom);
+    }
+
+    // Build one note/octave row per string, thickest string first
+    renderTuningEditor(tuning) {
+        const container = this.elements.tuningEditorStrings;
+        container.innerHTML = '';
+
+        for (let i = tuning.strings.length - 1; i >= 0; i--) {
+            const stringInfo = tuning.strings[i];
+            const row = document.createElement('div');
+            row.className = 'tuning-editor-row';
+
+            const label = document.createElement('span');
+            label.className = 'tuning-editor-label';
+            label.textContent = Tuning.ordinal(i + 1);
+
+            const noteSelect = document.createElement('select');
+            noteSelect.className = 'tuning-note';
+            Tuning.NOTE_NAMES.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.text = name;
+                noteSelect.appendChild(option);
+            });
+            noteSelect.value = stringInfo.note;
+
+            const octaveInput = document.createElement('input');
+            octaveInput.type = 'number';
+            octaveInput.className = 'tuning-octave';
+            octaveInput.min = 0;
+            octaveInput.max = 8;
+            octaveInput.value = stringInfo.octave;
+
+            row.appendChild(label);
+            row.appendChild(noteSelect);
+            row.appendChild(octaveInput);
+            container.appendChild(row);
+        }
+    }
+
+    applyCustomTuning() {
+        const rows = this.elements.tuningEditorStrings.querySelectorAll('.tuning-editor-row');
+        const notes = Array.from(rows).map(row => {
+            const note = row.querySelector('.tuning-note').value;
+            const octave = row.querySelector('.tuning-octave').value;
+            return `${note}${octave}`;
+        });
+
+        try {
+            const tuning = Tuning.parse(notes.join(' '));
+            tuning.name = `Custom (${tuning.toString()})`;
+            this.applyTuning(tuning);
+        } catch (error) {
+            console.error('Invalid custom tuning:', error);
+            alert(`Error: ${error.message}`);
+        }
+    }
+
+    // Restore the saved instrument, tuning, A4 reference and pitch algorithm
+    // (an unsupported tuning falls back to the instrument's default)
+    restoreInstrument() {
+        this.applyDeviceCalibration(this.elements.audioInput.value);
+        this.applyA4Frequency(this.learningEngine.a4Frequency);
+        this.applyPitchAlgorithm(this.learningEngine.pitchAlgorithm);
+        this.audioDetector.setPolyphonic(this.learningEngine.isChordExercise());
+
+        const instrument = Instrument.fromId(this.learningEngine.instrumentId);
+        const tuning = instrument.fitsTuning(this.learningEngine.tuning) ?
+            this.learningEngine.tuning :
+            instrument.getDefaultTuning();
+        this.applyInstrument(instrument, tuning);
+    }
+
+    // Switch instrument profile: string count, fret count, detection range and clef
+    applyInstrument(instrument, tuning = instrument.getDefaultTuning()) {
+        this.fretboard.setInstrument(instrument);
+        this.staff.setInstrument(instrument);
+        this.fretboard.setNumFrets(this.learningEngine.fretCount);
+        this.fretboard.setPositionWindow(this.learningEngine.positionWindow);
+        this.learningEngine.setInstrument(instrument);
+        this.audioDetector.setInstrument(instrument);
+        this.populateTuningPresets(instrument);
+        this.applyTuning(tuning);
+    }
+
+    // Share one tuning between fretboard, learning engine and detector
+    applyTuning(tuning) {
+        this.fretboard.setTuning(tuning);
+        this.learningEngine.setTuning(tuning);
+        this.audioDetector.setTuning(tuning);
+        this.tuner.setTuning(tuning);
+        this.showTabFrets(); // A melody may be fingered higher up in the new tuning
+        if (this.isTunerOpen) {
+            this.renderTunerStrings();
+        }
+
+        this.updateUI();
+        if (this.isLearningActive && !this.isWaitingForSilence) {
+            this.showCurrentNote();
+        }
+    }
+
+    // Concert pitch for detection and the tuner (432-446 Hz)
+    applyA4Frequency(frequency) {
+        const value = this.learningEngine.setA4Frequency(frequency);
+        this.audioDetector.setA4Frequency(value);
+        this.tuner.setA4Frequency(value);
+        this.elements.a4Frequency.value = value;
+    }
+
+    // Pitch estimator for note detection (YIN, MPM, pYIN or HPS)
+    applyPitchAlgorithm(id) {
+        const value = this.learningEngine.setPitchAlgorithm(id);
+        this.audioDetector.setPitchAlgorithm(value);
+        this.elements.pitchAlgorithm.value = value;
+    }
+
+    // The engine keeps the requested count; the fretboard caps it at the instrument's frets
+    applyFretCount(count) {
+        if (isNaN(count)) return;
+
+        this.learningEngine.setFretCount(count);
+        this.fretboard.setNumFrets(this.learningEngine.fretCount);
+
+        if (this.learningEngine.positionWindow) {
+            this.applyPositionWindow();
+        } else {
+            this.updateUI();
+            if (this.isLearningActive && !this.isWaitingForSilence) {
+                this.showCurrentNote();
+            }
+        }
+    }
+
+    applyPositionWindow() {
+        if (this.elements.positionWindowToggle.checked) {
+            const start = parseInt(this.elements.windowStart.value);
+            const end = parseInt(this.elements.windowEnd.value);
+            if (isNaN(start) || isNaN(end)) return;
+            this.learningEngine.setPositionWindow(start, end);
+        } else {
+            this.learningEngine.clearPositionWindow();
+        }
+
+        this.fretboard.setPositionWindow(this.learningEngine.positionWindow);
+        this.updateUI();
+        if (this.isLearningActive && !this.isWaitingForSilence) {
+            this.showCurrentNote();
+        }
+    }
+
     async loadAudioDevices() {
         try {
             const devices = await this.audioDetector.getAudioDevices();
@@ -262,6 +776,7 @@ class Fretlearner {
                 option.text = device.label || `Microphone ${this.elements.audioInput.options.length}`;
                 this.elements.audioInput.appendChild(option);
             });
+            this.applyDeviceCalibration(this.elements.audioInput.value);
         } catch (error) {
             console.error('Error loading audio devices:', error);
             alert('Error: Could not access audio devices. Please check permissions.');
@@ -290,6 +805,12 @@ class Fretlearner {
     }
 
     stopAudio() {
+        if (this.calibration) {
+            this.closeCalibration();
+        }
+        if (this.isLearningActive) {
+            this.pauseLearning(); // Before the stream stops, so the recording ends cleanly
+        }
         this.audioDetector.stop();
         this.isAudioActive = false;
 
@@ -298,10 +819,6 @@ class Fretlearner {
         this.elements.audioInput.disabled = false;
         this.elements.startLearningBtn.disabled = true;
 
-        if (this.isLearningActive) {
-            this.pauseLearning();
-        }
-
         this.elements.detectedNote.textContent = '-';
         this.elements.frequencyDisplay.textContent = '-';
         this.elements.volumeBar.style.width = '0%';
@@ -315,6 +832,8 @@ class Fretlearner {
         }
 
         this.isLearningActive = true;
+        this.learningEngine.startSession();
+        this.startRecording();
         this.elements.startLearningBtn.style.display = 'none';
         this.elements.pauseLearningBtn.style.display = 'block';
 
@@ -324,6 +843,8 @@ class Fretlearner {
 
     pauseLearning() {
         this.isLearningActive = false;
+        this.learningEngine.endSession();
+        this.finishRecording();
         this.elements.startLearningBtn.style.display = 'block';
         this.elements.pauseLearningBtn.style.display = 'none';
         this.fretboard.clearHighlight();
@@ -335,25 +856,52 @@ class Fretlearner {
         const target = this.learningEngine.getCurrentTarget();
         this.elements.targetNote.textContent = target.note;
 
+        // Staff notation replaces the letter name for single notes
+        const written = target.written || null;
+        this.elements.targetNote.classList.toggle('hidden', written !== null);
+        this.elements.staffCanvas.classList.toggle('hidden', written === null);
+        this.staff.setPitch(written);
+
         // Reset colors back to default
         this.elements.targetNote.style.color = '';
         this.elements.targetString.style.color = '';
 
-        // Show string and note repetition info
-        let stringInfo = `on ${target.stringName}`;
+        // Show string and note repetition info (chord tones for chord exercises)
+        let stringInfo = target.sequence ? target.position :
+            (target.chord ? target.stringName : `on ${target.stringName}`);
         if (target.noteRepetition) {
             stringInfo += ` (Rep ${target.noteRepetition})`;
         }
         this.elements.targetString.textContent = stringInfo;
+        this.elements.flashcardPrompt.textContent = target.tab ? `${target.tab.title}:` :
+            target.sequence ? 'Play the numbered notes in order:' :
+            target.interval ? 'Play the root, then the interval:' :
+            target.written ? 'Play the written note:' :
+            !target.chord ? 'Play this note:' :
+            (target.chord.type.category === 'intervals' ? 'Play this interval:' : 'Strum this chord:');
+        this.recorder.mark('target', `${target.note} ${stringInfo}`);
 
         // Reset detection state
         this.lastDetectedNote = null;
         this.isWaitingForSilence = false;
-
-        // Highlight on fretboard
-        const fret = this.fretboard.getLowestFretForNote(target.note, target.string);
-        if (fret !== null) {
-            this.fretboard.highlight(target.note, target.string, fret);
+        this.pendingIntonation = null;
+        this.pendingChord = null;
+        this.lastGradedChord = null;
+        this.testChordNotes = [];
+
+        // Start the response-latency clock for this target
+        this.learningEngine.markTargetShown();
+
+        // Highlight on fretboard (a suggested voicing for chords, numbered steps for scales)
+        if (target.sequence) {
+            this.showSequenceStep(target);
+        } else if (target.voicing) {
+            this.fretboard.highlightShape(target.voicing);
+        } else if (target.chord || target.written) {
+            // Nothing to give away: the chord is found by ear, the written note by reading
+            this.fretboard.clearHighlight();
+        } else if (target.fret !== null) {
+            this.fretboard.highlight(target.note, target.string, target.fret);
         }
 
         // Clear feedback
@@ -361,21 +909,167 @@ class Fretlearner {
         this.elements.feedbackMessage.className = 'feedback-message';
     }
 
-    checkPlayedNote(playedNote) {
-        const isCorrect = this.learningEngine.checkNote(playedNote);
+    // Current step of a scale run (numbered dots) or tab (its position and note)
+    showSequenceStep(target) {
+        if (target.tab) {
+            this.elements.targetNote.textContent = target.note;
+            this.elements.targetString.textContent = target.position;
+            this.fretboard.highlight(target.note, target.string, target.fret);
+        } else {
+            this.fretboard.highlightSequence(target.sequence.steps, target.sequence.index);
+        }
+    }
+
+    // Grade a newly detected note. With intonation on, the right note is graded
+    // once it has been held in tune, or as out of tune when it ends first.
+    handleDetectedNote(noteInfo) {
+        this.finishIntonation();
+
+        if (this.learningEngine.intonationEnabled && this.learningEngine.isTargetNote(noteInfo.name)) {
+            this.pendingIntonation = noteInfo;
+            this.intonation.tolerance = this.learningEngine.intonationTolerance;
+            this.intonation.holdMs = this.learningEngine.intonationHoldMs;
+            this.intonation.reset();
+            this.updateIntonation(noteInfo);
+            return;
+        }
+
+        this.checkPlayedNote(noteInfo.name, noteInfo);
+    }
+
+    // Feed the cents of sustained readings and show whether the note is sharp or flat
+    updateIntonation(noteInfo) {
+        if (noteInfo.state !== 'SUSTAIN') return;
+
+        const reading = this.intonation.addReading(noteInfo.cents);
+        this.showIntonationFeedback(reading);
+
+        if (reading.passed) {
+            this.pendingIntonation = null;
+            this.checkPlayedNote(noteInfo.name, {
+                ...noteInfo,
+                intonation: { passed: true, cents: reading.cents }
+            });
+        }
+    }
+
+    finishIntonation() {
+        const pending = this.pendingIntonation;
+        this.pendingIntonation = null;
+        if (!pending || !this.isLearningActive || !this.intonation.hasReadings()) return;
+
+        const cents = this.intonation.getAverageCents();
+        this.checkPlayedNote(pending.name, {
+            ...pending,
+            cents: Math.round(cents),
+            intonation: { passed: false, cents: cents }
+        });
+    }
+
+    showIntonationFeedback(reading) {
+        const cents = `${reading.cents > 0 ? '+' : ''}${reading.cents} cents`;
+        const messages = {
+            'sharp': `♯ ${cents}: too sharp`,
+            'flat': `♭ ${cents}: too flat`,
+            'in-tune': `In tune (${cents}), hold it...`
+        };
+
+        if (this.feedbackTimeout) {
+            clearTimeout(this.feedbackTimeout);
+            this.feedbackTimeout = null;
+        }
+        this.elements.feedbackMessage.textContent = messages[reading.direction];
+        this.elements.feedbackMessage.className = `feedback-message intonation-${reading.direction}`;
+    }
+
+    /**
+     * Grade polyphonic readings in chord exercises. A reading with as many
+     * pitch classes as the target is graded at once; a smaller one is kept
+     * and graded when the strum ends, so strings that ring in late still count.
+     */
+    handleDetectedChord(chord) {
+        if (!this.isLearningActive || this.isWaitingForSilence || !this.learningEngine.isChordExercise()) {
+            this.pendingChord = null;
+            return;
+        }
+
+        if (!chord) {
+            if (this.pendingChord) {
+                this.checkPlayedChord(this.pendingChord);
+            }
+            this.pendingChord = null;
+            this.lastGradedChord = null;
+            return;
+        }
+
+        const notes = chord.notes.map(n => `${n.name}${n.octave}`);
+        this.elements.detectedNote.textContent = notes.join(' ');
+
+        const key = chord.pitchClasses.slice().sort().join(',');
+        if (key === this.lastGradedChord) return;
+
+        const target = this.learningEngine.getCurrentTarget();
+        if (chord.pitchClasses.length >= target.chord.type.intervals.length) {
+            this.lastGradedChord = key;
+            this.pendingChord = null;
+            this.checkPlayedChord(notes);
+        } else {
+            this.pendingChord = notes;
+        }
+    }
+
+    checkPlayedChord(playedNotes) {
+        const isCorrect = this.learningEngine.checkChord(playedNotes);
+        this.showResult(isCorrect, playedNotes.join(' '));
+    }
+
+    checkPlayedNote(playedNote, noteInfo = null) {
+        const isCorrect = this.learningEngine.checkNote(playedNote, noteInfo);
 
+        // The root of an interval or a step of a scale run: keep listening
+        // (no message for a sustained note detected again)
+        const result = this.learningEngine.lastResult;
+        if (result && result.pending) {
+            if (result.message) {
+                this.recorder.mark('result', result.message, { correct: true });
+                this.showFeedback(result.message, 'correct', 3000);
+            }
+            const target = this.learningEngine.getCurrentTarget();
+            if (target.sequence) {
+                this.showSequenceStep(target);
+            }
+            return;
+        }
+
+        this.showResult(isCorrect, playedNote);
+    }
+
+    // Success: wait for the note or chord to ring out. Failure: show why
+    showResult(isCorrect, played) {
         if (isCorrect) {
+            // The next target is already set but only shown once this note rings out
+            this.recorder.discardLast('target');
+            this.recorder.mark('result', played, { correct: true });
+
             // Enter waiting for silence mode
             this.isWaitingForSilence = true;
 
             // Show success message
             this.elements.targetNote.textContent = '✓';
             this.elements.targetNote.style.color = 'var(--color-success)';
+            this.elements.targetNote.classList.remove('hidden');
+            this.elements.staffCanvas.classList.add('hidden');
             this.elements.targetString.textContent = 'Good job!';
             this.elements.targetString.style.color = 'var(--color-success)';
             this.elements.feedbackMessage.textContent = '';
             this.elements.feedbackMessage.className = 'feedback-message';
 
+            // A finished scale run lists the steps that went wrong on the way
+            const result = this.learningEngine.lastResult;
+            if (result && result.message) {
+                this.showFeedback(result.message, 'correct', 3000);
+            }
+
             // Clear fretboard highlight
             this.fretboard.clearHighlight();
 
@@ -410,7 +1104,12 @@ class Fretlearner {
                 }, 5000);
             }
         } else {
-            this.showFeedback(`Try again (you played ${playedNote})`, 'incorrect');
+            const result = this.learningEngine.lastResult;
+            const message = result && result.message ?
+                result.message :
+                `Try again (you played ${played})`;
+            this.recorder.mark('result', message, { correct: false });
+            this.showFeedback(message, 'incorrect', result && result.message ? 3000 : 1500);
         }
     }
 
@@ -438,6 +1137,7 @@ class Fretlearner {
         // Update context
         this.elements.currentMode.textContent = this.capitalizeFirst(target.mode);
         this.elements.currentString.textContent = target.stringName;
+        this.elements.currentTuning.textContent = this.learningEngine.tuning.name;
         this.elements.progressInfo.textContent = `${progress.current}/${progress.total} (${progress.percentage}%)`;
 
         // Update progress stats
@@ -445,12 +1145,923 @@ class Fretlearner {
         this.elements.notesLearned.textContent = this.learningEngine.notesCompleted;
         this.elements.accuracy.textContent = `${accuracy}%`;
         this.elements.progressBar.style.width = `${progress.percentage}%`;
+        this.updateLatencyStats();
+        this.refreshHeatmap();
 
         // Update settings values
         this.elements.noteRepetitions.value = this.learningEngine.noteRepetitions;
         this.elements.repeatCount.value = this.learningEngine.repeatCount;
         this.elements.randomRounds.value = this.learningEngine.randomRounds;
+        this.elements.strictPositionToggle.checked = this.learningEngine.strictPosition;
+        this.elements.notationToggle.checked = this.learningEngine.notationEnabled;
+        this.elements.intonationToggle.checked = this.learningEngine.intonationEnabled;
+        this.elements.intonationTolerance.value = this.learningEngine.intonationTolerance;
+        this.elements.intonationHold.value = this.learningEngine.intonationHoldMs;
+        this.elements.schedulingSelect.value = this.learningEngine.schedulingMode;
         this.elements.modeSelect.value = this.learningEngine.currentMode;
+        this.elements.exerciseSelect.value = this.learningEngine.exerciseType;
+        this.elements.scaleSettings.classList.toggle('hidden', !this.learningEngine.isScaleExercise());
+        this.elements.scaleTypeSelect.value = this.learningEngine.scaleType;
+        this.elements.scaleKeySelect.value = this.learningEngine.scaleKey;
+        this.elements.scalePositionSelect.value = this.learningEngine.scalePosition;
+        this.elements.instrumentSelect.value = this.learningEngine.instrumentId;
+        this.elements.fretCount.value = this.learningEngine.fretCount;
+        this.elements.positionWindowToggle.checked = this.learningEngine.positionWindow !== null;
+        if (this.learningEngine.positionWindow) {
+            this.elements.windowStart.value = this.learningEngine.positionWindow.start;
+            this.elements.windowEnd.value = this.learningEngine.positionWindow.end;
+        }
+        if (this.elements.tuningEditor.classList.contains('hidden')) {
+            this.elements.tuningSelect.value = this.learningEngine.tuning.id;
+        }
+    }
+
+    updateLatencyStats() {
+        const stats = this.learningEngine.latencyStats;
+        const overall = stats.getOverallSummary();
+
+        this.elements.latencyMedian.textContent = this.formatLatency(overall.median);
+        this.elements.latencyP90.textContent = this.formatLatency(overall.p90);
+
+        // Slowest notes
+        const slowest = stats.getSlowestNotes(5);
+        this.elements.slowestNotes.innerHTML = '';
+        if (slowest.length === 0) {
+            this.elements.slowestNotes.innerHTML = '<li class="stat-empty">Not enough data yet</li>';
+        }
+        slowest.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `${entry.note} on ${this.getStringName(entry.string)}: ` +
+                               `${this.formatLatency(entry.median)} (${entry.count}x)`;
+            this.elements.slowestNotes.appendChild(item);
+        });
+
+        // Trend over recent sessions, with the change from the previous session
+        const trend = stats.getSessionTrend(5);
+        this.elements.latencyTrend.innerHTML = '';
+        if (trend.length === 0) {
+            this.elements.latencyTrend.innerHTML = '<li class="stat-empty">No sessions yet</li>';
+        }
+        trend.forEach((session, i) => {
+            const item = document.createElement('li');
+            const date = new Date(session.startedAt).toLocaleDateString();
+            let change = '';
+            if (i > 0) {
+                const delta = session.median - trend[i - 1].median;
+                change = delta < 0 ? ' ↓' : delta > 0 ? ' ↑' : '';
+            }
+            item.textContent = `${date}: median ${this.formatLatency(session.median)}, ` +
+                               `p90 ${this.formatLatency(session.p90)}${change}`;
+            this.elements.latencyTrend.appendChild(item);
+        });
+    }
+
+    toggleHeatmap(enabled) {
+        this.isHeatmapActive = enabled;
+        this.selectedHeatmapCell = null;
+        this.elements.heatmapDetails.classList.add('hidden');
+        this.refreshHeatmap();
+    }
+
+    refreshHeatmap() {
+        if (!this.isHeatmapActive) {
+            if (this.fretboard.heatmap) {
+                this.fretboard.setHeatmap(null);
+            }
+            return;
+        }
+
+        this.fretboard.setHeatmap(this.learningEngine.positionStats.getHeatmap());
+        if (this.selectedHeatmapCell) {
+            this.showCellHistory(this.selectedHeatmapCell.string, this.selectedHeatmapCell.fret);
+        }
+    }
+
+    // Details panel for one heatmap cell: summary plus recent attempts
+    showCellHistory(string, fret) {
+        this.selectedHeatmapCell = { string, fret };
+        this.fretboard.selectCell(string, fret);
+
+        const noteInfo = this.fretboard.getNoteAt(string, fret);
+        const summary = this.learningEngine.positionStats.getSummary(string, fret);
+        const details = this.elements.heatmapDetails;
+        details.innerHTML = '';
+        details.classList.remove('hidden');
+
+        const title = document.createElement('div');
+        title.className = 'heatmap-details-title';
+        title.textContent = `${noteInfo.note}${noteInfo.octave} on ${this.getStringName(string)}, ` +
+                            (fret === 0 ? 'open' : `fret ${fret}`);
+        details.appendChild(title);
+
+        const info = document.createElement('div');
+        info.className = 'heatmap-details-summary';
+        if (!summary) {
+            info.textContent = 'No attempts at this position yet';
+            details.appendChild(info);
+            return;
+        }
+        info.textContent = `${summary.attempts} attempts, ${Math.round(summary.accuracy * 100)}% correct, ` +
+                           `median ${this.formatLatency(summary.medianLatency)}`;
+        details.appendChild(info);
+
+        const list = document.createElement('ul');
+        list.className = 'heatmap-history';
+        summary.history.slice(-10).reverse().forEach(entry => {
+            const item = document.createElement('li');
+            const time = new Date(entry.time).toLocaleString();
+            item.textContent = entry.correct ?
+                `${time}: ✓ ${entry.note} in ${this.formatLatency(entry.latency)}` :
+                `${time}: ✗ asked ${entry.note}, played ${entry.played}`;
+            item.className = entry.correct ? 'correct' : 'incorrect';
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+    }
+
+    getStringName(stringIndex) {
+        const string = this.learningEngine.strings.find(s => s.index === stringIndex);
+        return string ? string.name : `string ${stringIndex + 1}`;
+    }
+
+    formatLatency(ms) {
+        if (ms === null || ms === undefined) return '-';
+        return `${(ms / 1000).toFixed(1)}s`;
+    }
+
+    // Session list; clicking a session expands its attempts
+    showHistory() {
+        const list = this.elements.historyList;
+        const log = this.learningEngine.sessionLog;
+        list.innerHTML = '';
+
+        const sessions = log.getSessions();
+        if (sessions.length === 0) {
+            list.innerHTML = '<p class="hint">No practice sessions recorded yet</p>';
+        }
+
+        sessions.forEach(session => {
+            const summary = log.getSessionSummary(session);
+            const item = document.createElement('div');
+            item.className = 'history-session';
+
+            const header = document.createElement('div');
+            header.className = 'history-session-header';
+            const accuracy = summary.accuracy === null ? '-' : `${Math.round(summary.accuracy * 100)}%`;
+            header.textContent = `${new Date(summary.startedAt).toLocaleString()} · ` +
+                                 `${Math.round(summary.duration / 60000)} min · ` +
+                                 `${summary.attempts} attempts · ${accuracy} correct · ` +
+                                 `median ${this.formatLatency(summary.medianLatency)}`;
+
+            const details = document.createElement('table');
+            details.className = 'history-attempts hidden';
+            details.innerHTML = '<tr><th>Time</th><th>Target</th><th>Played</th><th>Cents</th>' +
+                                '<th>Confidence</th><th>Result</th><th>Time taken</th></tr>';
+            session.attempts.forEach(a => {
+                const row = document.createElement('tr');
+                row.className = a.correct ? 'correct' : 'incorrect';
+                const cells = [
+                    new Date(a.timestamp).toLocaleTimeString(),
+                    a.string === null ? a.target :
+                        `${a.target} on ${a.stringName}` + (a.fret !== null ? ` (fret ${a.fret})` : ''),
+                    a.played,
+                    a.cents === null ? '-' : `${a.cents > 0 ? '+' : ''}${a.cents}`,
+                    a.confidence === null ? '-' : `${Math.round(a.confidence * 100)}%`,
+                    a.correct ? '✓' : '✗',
+                    this.formatLatency(a.latency)
+                ];
+                cells.forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                details.appendChild(row);
+            });
+
+            header.addEventListener('click', () => details.classList.toggle('hidden'));
+            item.appendChild(header);
+            item.appendChild(details);
+            list.appendChild(item);
+        });
+
+        this.elements.historyOverlay.classList.remove('hidden');
+    }
+
+    // Export the attempt log through the main process's save dialog
+    async exportHistory(format) {
+        const log = this.learningEngine.sessionLog;
+        const date = new Date().toISOString().slice(0, 10);
+        const options = format === 'csv' ?
+            {
+                title: 'Export History (CSV)',
+                defaultPath: `fretlearner-history-${date}.csv`,
+                filters: [{ name: 'CSV', extensions: ['csv'] }],
+                content: log.toCSV()
+            } :
+            {
+                title: 'Export History (JSON)',
+                defaultPath: `fretlearner-history-${date}.json`,
+                filters: [{ name: 'JSON', extensions: ['json'] }],
+                content: JSON.stringify(log, null, 2)
+            };
+
+        try {
+            const result = await ipcRenderer.invoke('save-file', options);
+            if (!result.canceled) {
+                console.log('History exported to', result.filePath);
+            }
+        } catch (error) {
+            console.error('Error exporting history:', error);
+            alert('Error: Could not export history');
+        }
+    }
+
+    // Tuner view; grading is paused while it is open
+    showTuner() {
+        if (this.isLearningActive) {
+            this.pauseLearning();
+        }
+
+        this.isTunerOpen = true;
+        this.elements.tunerHint.classList.toggle('hidden', this.isAudioActive);
+        this.renderTunerStrings();
+        this.tuner.reset();
+        this.elements.tunerOverlay.classList.remove('hidden');
+    }
+
+    hideTuner() {
+        this.isTunerOpen = false;
+        this.elements.tunerOverlay.classList.add('hidden');
+    }
+
+    // Detection thresholds the active profile saved for an input device, or the defaults
+    applyDeviceCalibration(deviceId) {
+        const devices = this.profiles.read('devices') || {};
+        const settings = deviceId && devices[deviceId] ? devices[deviceId] : null;
+        this.audioDetector.setThresholds(settings ? settings.thresholds : null);
+        this.elements.calibrationInfo.textContent = settings ?
+            `Calibrated ${new Date(settings.calibratedAt).toLocaleDateString()}` :
+            'Default detection thresholds';
+    }
+
+    // Open strings plucked during calibration: thickest, middle and thinnest
+    getCalibrationStrings() {
+        const tuning = this.learningEngine.tuning;
+        const names = tuning.getStringNames();
+        const last = tuning.strings.length - 1;
+        return [...new Set([last, Math.floor(last / 2), 0])].map(i => ({
+            name: names[i],
+            frequency: tuning.getFrequency(i, this.learningEngine.a4Frequency)
+        }));
+    }
+
+    showCalibration() {
+        if (!this.isAudioActive) {
+            alert('Please start audio detection with the device to calibrate first');
+            return;
+        }
+        if (this.isLearningActive) {
+            this.pauseLearning();
+        }
+
+        const select = this.elements.audioInput;
+        this.elements.calibrationDevice.textContent = select.options[select.selectedIndex].text;
+        this.startCalibration();
+        this.elements.calibrationOverlay.classList.remove('hidden');
+    }
+
+    startCalibration() {
+        this.calibration = new Calibration(this.getCalibrationStrings());
+        this.calibrationResult = null;
+
+        // Measure with the default thresholds, but a loose YIN threshold so that
+        // weakly periodic frames still report their pitch and aperiodicity
+        this.audioDetector.setThresholds({ YIN_THRESHOLD: this.calibration.YIN_MEASURE_THRESHOLD });
+        this.audioDetector.onAnalysisFrame = (frame) => {
+            this.calibration.addFrame(frame);
+            this.renderCalibration();
+        };
+
+        this.elements.calibrationResults.classList.add('hidden');
+        this.elements.saveCalibrationBtn.classList.add('hidden');
+        this.renderCalibration();
+    }
+
+    renderCalibration() {
+        const step = this.calibration.getStep();
+        if (step.type === 'done') {
+            this.finishCalibration();
+            return;
+        }
+
+        const count = this.calibration.strings.length;
+        this.elements.calibrationInstruction.textContent = step.type === 'noise' ?
+            'Mute the strings and stay quiet while the room noise is measured...' :
+            `String ${step.index}/${count}: pluck the open ${step.string.name} string and let it ring`;
+        this.elements.calibrationProgress.style.width = `${Math.round(step.progress * 100)}%`;
+        this.elements.skipCalibrationStringBtn.classList.toggle('hidden', step.type !== 'pluck');
+    }
+
+    finishCalibration() {
+        this.audioDetector.onAnalysisFrame = null;
+        this.elements.skipCalibrationStringBtn.classList.add('hidden');
+        this.elements.calibrationProgress.style.width = '100%';
+
+        try {
+            this.calibrationResult = this.calibration.computeThresholds();
+        } catch (e) {
+            this.elements.calibrationInstruction.textContent = `Calibration failed: ${e.message}`;
+            return;
+        }
+
+        // Defaults next to the calibrated values
+        const defaults = this.audioDetector.DEFAULT_THRESHOLDS;
+        const table = this.elements.calibrationResults;
+        table.innerHTML = '<tr><th>Threshold</th><th>Default</th><th>Calibrated</th></tr>';
+        for (const key in this.calibrationResult) {
+            const row = document.createElement('tr');
+            [key, defaults[key].toFixed(4), this.calibrationResult[key].toFixed(4)].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        }
+        table.classList.remove('hidden');
+
+        this.elements.calibrationInstruction.textContent = 'Calibration complete. Save to use these thresholds with this device.';
+        this.elements.saveCalibrationBtn.classList.remove('hidden');
+    }
+
+    saveCalibration() {
+        const select = this.elements.audioInput;
+        const devices = this.profiles.read('devices') || {};
+        devices[select.value] = {
+            thresholds: this.calibrationResult,
+            calibratedAt: Date.now(),
+            label: select.options[select.selectedIndex].text
+        };
+        this.profiles.write('devices', devices);
+        this.closeCalibration();
+    }
+
+    // Forget the selected device's calibration (for the active profile)
+    resetCalibration() {
+        const devices = this.profiles.read('devices') || {};
+        delete devices[this.elements.audioInput.value];
+        this.profiles.write('devices', devices);
+        this.closeCalibration();
+    }
+
+    // Stop measuring and apply whatever is saved for the device
+    closeCalibration() {
+        this.audioDetector.onAnalysisFrame = null;
+        this.calibration = null;
+        this.calibrationResult = null;
+        this.applyDeviceCalibration(this.elements.audioInput.value);
+        this.elements.calibrationOverlay.classList.add('hidden');
+    }
+
+    /**
+     * Run note detection over a recorded file with the current instrument,
+     * calibration and pitch algorithm (see offline-analyser.js)
+     */
+    async analyseRecording(file) {
+        const el = this.elements;
+        this.analysis = null;
+        el.analysisNotes.innerHTML = '';
+        el.analysisProgress.style.width = '0%';
+        el.analysisStatus.textContent = `Decoding ${file.name}...`;
+        el.exportAnalysisCsvBtn.disabled = true;
+        el.exportAnalysisJsonBtn.disabled = true;
+        el.analysisOverlay.classList.remove('hidden');
+
+        try {
+            const { samples, sampleRate, duration } = await OfflineAnalyser.decode(await file.arrayBuffer());
+            el.analysisStatus.textContent = `Analysing ${file.name}...`;
+
+            const analyser = new OfflineAnalyser(this.audioDetector.getConfig());
+            const notes = await analyser.analyse(samples, sampleRate, (progress) => {
+                el.analysisProgress.style.width = `${Math.round(progress * 100)}%`;
+            });
+
+            this.analysis = { file: file.name, duration, notes };
+            this.renderAnalysis();
+        } catch (error) {
+            console.error('Error analysing recording:', error);
+            el.analysisStatus.textContent = `Could not analyse ${file.name}: ${error.message}`;
+        }
+    }
+
+    showTabImport() {
+        const el = this.elements;
+        el.tabImportStatus.textContent = `Paste ASCII tab for ${this.fretboard.strings.length} strings ` +
+                                         '(highest string on top), or load a text, MusicXML or MIDI file';
+        el.tabImportStatus.classList.remove('error');
+        this.tabTitle = null;
+        el.tabImportOverlay.classList.remove('hidden');
+        el.tabText.focus();
+    }
+
+    // Fill the text box from a file, or import a MIDI file straight away; Guitar
+    // Pro's own formats are binary and need exporting first
+    async loadTabFile(file) {
+        const el = this.elements;
+        if (/\.(gp[345x]?|gtp|mxl)$/i.test(file.name)) {
+            el.tabImportStatus.textContent = `${file.name} is a compressed or binary file; ` +
+                                             'export it as uncompressed MusicXML (.musicxml or .xml)';
+            el.tabImportStatus.classList.add('error');
+            return;
+        }
+
+        if (/\.midi?$/i.test(file.name)) {
+            let notes;
+            try {
+                notes = MelodyParser.parseMidi(new Uint8Array(await file.arrayBuffer()));
+            } catch (error) {
+                if (!(error instanceof MelodyParseError)) throw error;
+                el.tabImportStatus.textContent = `${file.name}: ${error.message}`;
+                el.tabImportStatus.classList.add('error');
+                return;
+            }
+            this.importMelody(file.name.replace(/\.[^.]*$/, ''), notes);
+            return;
+        }
+
+        el.tabText.value = await file.text();
+        this.tabTitle = file.name.replace(/\.[^.]*$/, '');
+        el.tabImportStatus.textContent = `Loaded ${file.name}`;
+        el.tabImportStatus.classList.remove('error');
+    }
+
+    // Parse the tab (or a MusicXML melody) and practise it; a parse error is
+    // shown and its position selected
+    importTab() {
+        const el = this.elements;
+        const text = el.tabText.value;
+
+        let targets;
+        let notes;
+        try {
+            if (MelodyParser.isMelodyXml(text)) {
+                notes = MelodyParser.parseMusicXml(text);
+            } else {
+                targets = TabParser.parse(text, {
+                    strings: this.fretboard.strings.length,
+                    frets: this.fretboard.instrument.frets
+                });
+            }
+        } catch (error) {
+            if (!(error instanceof TabParseError)) throw error;
+
+            el.tabImportStatus.textContent = error.message;
+            el.tabImportStatus.classList.add('error');
+            const lines = text.split('\n');
+            const offset = lines.slice(0, error.line - 1).reduce((sum, line) => sum + line.length + 1, 0) + error.column - 1;
+            el.tabText.focus();
+            el.tabText.setSelectionRange(offset, offset + 1);
+            return;
+        }
+
+        const title = TabParser.getTitle(text) || this.tabTitle;
+        if (notes) {
+            this.importMelody(title || 'Imported melody', notes);
+            return;
+        }
+
+        this.learningEngine.setTab(title || 'Imported tab', targets);
+        this.startTab();
+    }
+
+    // Finger a melody (MIDI numbers) for the current tuning and practise it
+    importMelody(title, notes) {
+        const el = this.elements;
+        const shift = this.learningEngine.setMelody(title, notes);
+        if (shift === null) {
+            const { lowest, highest } = this.fretboard.getMidiRange(this.fretboard.instrument.frets);
+            const name = (midi) => `${this.fretboard.chromaticNotes[midi % 12]}${Math.floor(midi / 12) - 1}`;
+            el.tabImportStatus.textContent = `${title} spans ${name(Math.min(...notes))} to ` +
+                                             `${name(Math.max(...notes))}, more than this instrument's ` +
+                                             `${name(lowest)} to ${name(highest)}`;
+            el.tabImportStatus.classList.add('error');
+            return;
+        }
+
+        this.startTab();
+        if (shift !== 0) {
+            const octaves = Math.abs(shift) / 12;
+            const distance = octaves === 1 ? 'an octave' : `${octaves} octaves`;
+            this.showFeedback(`Moved ${shift > 0 ? 'up' : 'down'} ${distance} to fit the instrument`, 'correct', 3000);
+        }
+    }
+
+    // Close the import box and play the imported tab from its first note
+    startTab() {
+        this.showTabFrets();
+        this.audioDetector.setPolyphonic(false);
+        this.elements.tabImportOverlay.classList.add('hidden');
+        this.updateUI();
+        this.showCurrentNote();
+    }
+
+    // Widen the fretboard to every fret the imported tab uses
+    showTabFrets() {
+        const tab = this.learningEngine.tab;
+        if (!tab) return;
+
+        const highestFret = Math.max(...tab.targets.map(t => t.fret));
+        if (highestFret > this.fretboard.numFrets) {
+            this.applyFretCount(highestFret);
+        }
+    }
+
+    renderAnalysis() {
+        const { file, duration, notes } = this.analysis;
+        const table = this.elements.analysisNotes;
+
+        this.elements.analysisStatus.textContent = `${file} · ${duration.toFixed(1)} s · ` +
+                                                  `${notes.length} note${notes.length === 1 ? '' : 's'}`;
+        table.innerHTML = '<tr><th>Start</th><th>End</th><th>Note</th><th>Frequency</th>' +
+                          '<th>Cents</th><th>Confidence</th></tr>';
+        notes.forEach(n => {
+            const row = document.createElement('tr');
+            [
+                `${n.start.toFixed(2)} s`,
+                `${n.end.toFixed(2)} s`,
+                n.note,
+                `${n.frequency.toFixed(2)} Hz`,
+                `${n.cents > 0 ? '+' : ''}${n.cents}`,
+                `${Math.round(n.confidence * 100)}%`
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+
+        this.elements.exportAnalysisCsvBtn.disabled = false;
+        this.elements.exportAnalysisJsonBtn.disabled = false;
+    }
+
+    // Export the analysed note list through the main process's save dialog
+    async exportAnalysis(format) {
+        if (!this.analysis) return;
+
+        const name = this.analysis.file.replace(/\.[^.]+$/, '');
+        const options = format === 'csv' ?
+            {
+                title: 'Export Notes (CSV)',
+                defaultPath: `${name}-notes.csv`,
+                filters: [{ name: 'CSV', extensions: ['csv'] }],
+                content: OfflineAnalyser.toCSV(this.analysis.notes)
+            } :
+            {
+                title: 'Export Notes (JSON)',
+                defaultPath: `${name}-notes.json`,
+                filters: [{ name: 'JSON', extensions: ['json'] }],
+                content: JSON.stringify(this.analysis, null, 2)
+            };
+
+        try {
+            const result = await ipcRenderer.invoke('save-file', options);
+            if (!result.canceled) {
+                console.log('Notes exported to', result.filePath);
+            }
+        } catch (error) {
+            console.error('Error exporting notes:', error);
+            alert('Error: Could not export notes');
+        }
+    }
+
+    // Record the session's audio for review when the option is on (see session-recorder.js)
+    startRecording() {
+        this.elements.reviewRecordingBtn.disabled = true;
+        if (!this.elements.recordSessionToggle.checked || !this.isAudioActive) return;
+
+        try {
+            this.recorder.start(this.audioDetector.microphone.mediaStream);
+        } catch (error) {
+            console.error('Error starting session recording:', error);
+            this.showFeedback('Could not record this session', 'incorrect', 3000);
+        }
+    }
+
+    // Keep the finished recording (replacing the previous one) for the review screen
+    async finishRecording() {
+        const recording = await this.recorder.stop();
+        if (recording) {
+            if (this.recording) {
+                URL.revokeObjectURL(this.recording.url);
+            }
+            this.recording = { ...recording, url: URL.createObjectURL(recording.blob) };
+        }
+        this.elements.reviewRecordingBtn.disabled = !this.recording;
+    }
+
+    formatPosition(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+    }
+
+    getReviewClass(event) {
+        if (event.type !== 'result') return event.type;
+        return event.correct ? 'correct' : 'incorrect';
+    }
+
+    // Audio of the last recorded session with its targets, detections and results
+    showRecordingReview() {
+        if (!this.recording) return;
+
+        const el = this.elements;
+        const { url, startedAt, duration, events } = this.recording;
+        const results = events.filter(e => e.type === 'result');
+        const retries = results.filter(e => !e.correct).length;
+        el.reviewStatus.textContent = `${new Date(startedAt).toLocaleString()} · ${this.formatPosition(duration)} · ` +
+                                      `${results.length} attempts · ${retries} "Try again"`;
+        el.reviewAudio.src = url;
+
+        // Timeline: one marker per event, click to play from there
+        el.reviewTimeline.innerHTML = '';
+        events.forEach(event => {
+            const marker = document.createElement('span');
+            marker.className = `review-marker ${this.getReviewClass(event)}`;
+            marker.style.left = `${duration > 0 ? Math.min(100, event.time / duration * 100) : 0}%`;
+            marker.title = `${this.formatPosition(event.time)} ${event.label}`;
+            el.reviewTimeline.appendChild(marker);
+        });
+        const playhead = document.createElement('div');
+        playhead.className = 'review-playhead';
+        el.reviewTimeline.appendChild(playhead);
+
+        const kinds = { target: 'Target', detection: 'Heard', correct: 'Correct', incorrect: 'Try again' };
+        el.reviewEvents.innerHTML = '<tr><th>Time</th><th>Event</th><th>Detail</th></tr>';
+        events.forEach(event => {
+            const row = document.createElement('tr');
+            const kind = this.getReviewClass(event);
+            row.className = kind;
+            const detail = event.type === 'detection' && event.cents !== undefined ?
+                `${event.label} (${event.cents > 0 ? '+' : ''}${event.cents} cents)` : event.label;
+            [this.formatPosition(event.time), kinds[kind], detail].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            // Start a second early to hear what led up to it
+            row.addEventListener('click', () => this.seekReview(event.time - 1));
+            el.reviewEvents.appendChild(row);
+        });
+
+        this.reviewIndex = -1;
+        this.updateReviewPosition();
+        el.reviewOverlay.classList.remove('hidden');
+    }
+
+    seekReview(seconds) {
+        const audio = this.elements.reviewAudio;
+        audio.currentTime = Math.max(0, Math.min(seconds, this.recording.duration));
+        audio.play().catch(error => console.error('Error playing recording:', error));
+    }
+
+    // Move the playhead and highlight the latest event at or before it
+    updateReviewPosition() {
+        if (!this.recording) return;
+
+        const time = this.elements.reviewAudio.currentTime;
+        const { duration, events } = this.recording;
+        const playhead = this.elements.reviewTimeline.querySelector('.review-playhead');
+        playhead.style.left = `${duration > 0 ? Math.min(100, time / duration * 100) : 0}%`;
+
+        let index = -1;
+        events.forEach((event, i) => {
+            if (event.time <= time) index = i;
+        });
+        if (index === this.reviewIndex) return;
+
+        this.reviewIndex = index;
+        const rows = this.elements.reviewEvents.querySelectorAll('tr');
+        rows.forEach((row, i) => row.classList.toggle('current', i === index + 1)); // Row 0 is the header
+        if (index >= 0) {
+            rows[index + 1].scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    closeRecordingReview() {
+        this.elements.reviewAudio.pause();
+        this.elements.reviewOverlay.classList.add('hidden');
+    }
+
+    // Save the recorded audio through the main process's save dialog
+    async saveRecording() {
+        const { blob, mimeType, startedAt } = this.recording;
+        const extension = mimeType.includes('ogg') ? 'ogg' : 'webm';
+        const date = new Date(startedAt).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+
+        try {
+            const result = await ipcRenderer.invoke('save-file', {
+                title: 'Save Recording',
+                defaultPath: `fretlearner-session-${date}.${extension}`,
+                filters: [{ name: 'Audio', extensions: [extension] }],
+                content: new Uint8Array(await blob.arrayBuffer())
+            });
+            if (!result.canceled) {
+                console.log('Recording saved to', result.filePath);
+            }
+        } catch (error) {
+            console.error('Error saving recording:', error);
+            alert('Error: Could not save recording');
+        }
+    }
+
+    // Export the session's events (times in seconds from the start of the audio)
+    async exportTimeline() {
+        const { startedAt, duration, events } = this.recording;
+        const date = new Date(startedAt).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+
+        try {
+            const result = await ipcRenderer.invoke('save-file', {
+                title: 'Export Timeline (JSON)',
+                defaultPath: `fretlearner-session-${date}.json`,
+                filters: [{ name: 'JSON', extensions: ['json'] }],
+                content: JSON.stringify({ startedAt, duration, events }, null, 2)
+            });
+            if (!result.canceled) {
+                console.log('Timeline exported to', result.filePath);
+            }
+        } catch (error) {
+            console.error('Error exporting timeline:', error);
+            alert('Error: Could not export timeline');
+        }
+    }
+
+    // "Chromatic" plus one button per open string, thickest first
+    renderTunerStrings() {
+        const container = this.elements.tunerStrings;
+        const tuning = this.learningEngine.tuning;
+        container.innerHTML = '';
+
+        const addButton = (label, stringIndex) => {
+            const button = document.createElement('button');
+            button.className = 'btn-note' + (this.tuner.targetString === stringIndex ? ' active' : '');
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                this.tuner.setTargetString(stringIndex);
+                this.renderTunerStrings();
+            });
+            container.appendChild(button);
+        };
+
+        addButton('Chromatic', null);
+        for (let i = tuning.strings.length - 1; i >= 0; i--) {
+            addButton(`${tuning.strings[i].note}${tuning.strings[i].octave}`, i);
+        }
+    }
+
+    populateProfiles() {
+        const select = this.elements.profileSelect;
+        const active = this.profiles.getActiveProfile();
+        select.innerHTML = '';
+
+        this.profiles.getProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        select.value = active.id;
+    }
+
+    // Load another profile's progress, settings and history
+    switchProfile(id) {
+        if (id === this.profiles.getActiveProfile().id) return;
+
+        if (this.isLearningActive) {
+            this.pauseLearning();
+        }
+        this.profiles.switchProfile(id);
+        this.learningEngine.setStorage(this.profiles);
+        this.elements.heatmapDetails.classList.add('hidden');
+        this.populateProfiles();
+        this.restoreInstrument();
+
+        if (!this.elements.profileOverlay.classList.contains('hidden')) {
+            this.showProfiles();
+        }
+        console.log('Switched to profile:', this.profiles.getActiveProfile().name);
+    }
+
+    showProfiles() {
+        const list = this.elements.profileList;
+        const activeId = this.profiles.getActiveProfile().id;
+        list.innerHTML = '';
+
+        this.profiles.getProfiles().forEach(profile => {
+            const row = document.createElement('div');
+            row.className = 'profile-row' + (profile.id === activeId ? ' active' : '');
+
+            const name = document.createElement('span');
+            name.className = 'profile-name';
+            name.textContent = profile.name;
+            row.appendChild(name);
+
+            if (profile.id !== activeId) {
+                const switchBtn = document.createElement('button');
+                switchBtn.className = 'btn btn-primary btn-small';
+                switchBtn.textContent = 'Switch';
+                switchBtn.addEventListener('click', () => this.switchProfile(profile.id));
+                row.appendChild(switchBtn);
+            }
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-danger btn-small';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.disabled = this.profiles.getProfiles().length <= 1;
+            deleteBtn.addEventListener('click', () => this.deleteProfile(profile));
+            row.appendChild(deleteBtn);
+
+            list.appendChild(row);
+        });
+
+        this.elements.profileOverlay.classList.remove('hidden');
+    }
+
+    createProfile() {
+        try {
+            const profile = this.profiles.createProfile(this.elements.profileNameInput.value);
+            this.elements.profileNameInput.value = '';
+            this.populateProfiles();
+            this.switchProfile(profile.id);
+            this.showProfiles();
+        } catch (error) {
+            alert(`Error: ${error.message}`);
+        }
+    }
+
+    renameProfile() {
+        const name = this.elements.profileNameInput.value.trim();
+        if (!name) return;
+
+        this.profiles.renameProfile(this.profiles.getActiveProfile().id, name);
+        this.elements.profileNameInput.value = '';
+        this.populateProfiles();
+        this.showProfiles();
+    }
+
+    deleteProfile(profile) {
+        if (!confirm(`Delete profile "${profile.name}"? All of its progress and history will be erased.`)) {
+            return;
+        }
+
+        const wasActive = profile.id === this.profiles.getActiveProfile().id;
+        try {
+            if (wasActive && this.isLearningActive) {
+                this.pauseLearning();
+            }
+            this.profiles.deleteProfile(profile.id);
+        } catch (error) {
+            alert(`Error: ${error.message}`);
+            return;
+        }
+
+        if (wasActive) {
+            this.learningEngine.setStorage(this.profiles);
+            this.elements.heatmapDetails.classList.add('hidden');
+            this.restoreInstrument();
+        }
+        this.populateProfiles();
+        this.showProfiles();
+    }
+
+    async exportBackup() {
+        try {
+            const result = await this.profiles.backend.exportBackup();
+            if (!result.canceled) {
+                console.log('Backup exported to', result.filePath);
+            }
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            alert('Error: Could not export backup');
+        }
+    }
+
+    // Replace all profiles with a backup file, then reload so every component starts from it
+    async importBackup() {
+        if (!confirm('Import a backup? This replaces the progress, settings and history of ALL profiles.')) {
+            return;
+        }
+
+        if (this.isLearningActive) {
+            this.pauseLearning();
+        }
+        try {
+            const result = await this.profiles.backend.importBackup();
+            if (!result.canceled) {
+                window.location.reload();
+            }
+        } catch (error) {
+            console.error('Error importing backup:', error);
+            alert(`Error: Could not import backup (${error.message})`);
+        }
     }
 
     resetLevel() {
@@ -464,8 +2075,10 @@ class Fretlearner {
     }
 
     resetAll() {
-        if (confirm('Reset ALL progress? This will erase all your progress and start from the beginning.')) {
+        const name = this.profiles.getActiveProfile().name;
+        if (confirm(`Reset ALL progress for "${name}"? This will erase this profile's progress and start from the beginning.`)) {
             this.learningEngine.resetAll();
+            this.applyDeviceCalibration(this.elements.audioInput.value); // The profile's calibration is gone too
             this.updateUI();
             if (this.isLearningActive) {
                 this.showCurrentNote();
@@ -522,6 +2135,19 @@ class Fretlearner {
             this.elements.volumeBar.style.width = '0%';
         }, 200);
 
+        // Chord exercises: collect clicked notes until the chord is complete
+        if (this.learningEngine.isChordExercise()) {
+            const target = this.learningEngine.getCurrentTarget();
+            this.testChordNotes.push(note);
+            this.elements.detectedNote.textContent = this.testChordNotes.join(' ');
+            if (this.testChordNotes.length >= target.chord.type.intervals.length) {
+                const notes = this.testChordNotes;
+                this.testChordNotes = [];
+                this.checkPlayedChord(notes);
+            }
+            return;
+        }
+
         // For testing mode, always check the note (no duplicate prevention)
         // In audio mode, duplicate prevention happens in audioDetector callback
         this.checkPlayedNote(note);
@@ -1,6 +1,12 @@
 /**
  * Musical note detector using YIN pitch detection, spectral flux onset detection,
- * ADSR envelope tracking, and harmonic validation.
+ * ADSR envelope tracking, and harmonic validation. The pitch estimator can be
+ * swapped for MPM, pYIN or HPS (see pitch-algorithms.js and setPitchAlgorithm).
+ *
+ * Frames are analysed in an AudioWorklet (pitch-worklet.js) at a fixed rate,
+ * off the main thread; where AudioWorklet is unavailable the detector falls
+ * back to polling an AnalyserNode on requestAnimationFrame. Both paths run
+ * processFrame and deliver results through the same callbacks.
  *
  * Usage:
  *   detector.enableConsoleDebug();  // Enable debug output
@@ -16,14 +22,25 @@ class AudioDetector {
         this.audioContext = null;
         this.analyser = null;
         this.microphone = null;
+        this.workletNode = null;
         this.isDetecting = false;
         this.animationId = null;
 
+        // Frame analysis
+        this.FRAME_SIZE = 4096; // Samples per frame; grows for low-tuned instruments (see updateFrameSize)
+        this.FRAME_RATE = 60;   // Frames per second in the worklet (frame-count constants assume ~60)
+        this.sampleRate = 48000;
+        this.frameTime = 0;     // Time of the frame being analysed (ms)
+
         // YIN algorithm parameters
         this.YIN_THRESHOLD = 0.15; // Aperiodicity threshold (lower = stricter)
-        this.MIN_FREQUENCY = 50;   // E1 (~82Hz), allow lower for detection
+        this.yinFFT = null;        // FFT for the difference function, sized to the frame (see differenceFunction)
+        this.PITCH_ALGORITHM = 'yin'; // Key of PITCH_ALGORITHMS (see setPitchAlgorithm)
+        this.pitchAlgorithm = null;   // Its instance, created on first use
+        this.MIN_FREQUENCY = 50;   // E1 (~82Hz), allow lower for detection (see setInstrument)
         this.MAX_FREQUENCY = 2000; // B6 (~1976Hz)
-        this.GUITAR_MIN_FREQUENCY = 82; // E2 - lowest note on standard guitar
+        this.GUITAR_MIN_FREQUENCY = 82; // E2 - lowest note on standard guitar (see setTuning)
+        this.tuning = null;
 
         // Onset detection (Spectral Flux)
         this.previousSpectrum = null;
@@ -67,6 +84,19 @@ class AudioDetector {
         this.cooldownFrames = 0;
         this.COOLDOWN_DURATION = 50;
 
+        // Polyphonic (chord) detection, only run when enabled (see setPolyphonic)
+        this.polyphonic = new PolyphonicDetector();
+        this.polyphonicEnabled = false;
+        this.chordAnalyser = null;
+        this.CHORD_FFT_SIZE = 16384;   // ~3 Hz bins at 48 kHz to separate low strings
+        this.chordHistory = [];        // MIDI numbers detected in recent frames
+        this.CHORD_HISTORY_SIZE = 8;   // Frames a chord reading is based on
+        this.CHORD_MIN_SHARE = 0.6;    // A note must appear in 60% of them
+        this.currentChord = null;
+
+        // Defaults for the thresholds a calibration may override (see setThresholds)
+        this.DEFAULT_THRESHOLDS = this.getThresholds();
+
         // Debug mode
         this.debugMode = true;
         this.debugData = {};
@@ -76,6 +106,135 @@ class AudioDetector {
         this.onVolumeChange = null;
         this.onDebugData = null; // New callback for debug information
         this.onSilenceDetected = null; // Callback when note releases to silence
+        this.onChordDetected = null;   // Polyphonic readings ({ notes, pitchClasses, state } or null)
+        this.onAnalysisFrame = null;   // Per-frame measurements for calibration (see calibration.js)
+    }
+
+    // Detection thresholds that depend on the input device and room
+    getThresholds() {
+        return {
+            ATTACK_THRESHOLD: this.ATTACK_THRESHOLD,
+            RELEASE_THRESHOLD: this.RELEASE_THRESHOLD,
+            SLOW_ATTACK_THRESHOLD: this.SLOW_ATTACK_THRESHOLD,
+            ONSET_THRESHOLD: this.ONSET_THRESHOLD,
+            YIN_THRESHOLD: this.YIN_THRESHOLD,
+            MIN_HARMONIC_CONFIDENCE: this.MIN_HARMONIC_CONFIDENCE
+        };
+    }
+
+    /**
+     * Apply calibrated thresholds (see getThresholds for the keys);
+     * null restores the defaults, as do missing or invalid values.
+     */
+    setThresholds(thresholds = null) {
+        for (const key in this.DEFAULT_THRESHOLDS) {
+            const value = thresholds ? thresholds[key] : undefined;
+            this[key] = typeof value === 'number' && isFinite(value) ? value : this.DEFAULT_THRESHOLDS[key];
+        }
+        this.syncWorklet();
+    }
+
+    // Settings the worklet's detector needs (see applyConfig)
+    getConfig() {
+        return {
+            MIN_FREQUENCY: this.MIN_FREQUENCY,
+            MAX_FREQUENCY: this.MAX_FREQUENCY,
+            FRAME_SIZE: this.FRAME_SIZE,
+            PITCH_ALGORITHM: this.PITCH_ALGORITHM,
+            GUITAR_MIN_FREQUENCY: this.GUITAR_MIN_FREQUENCY,
+            A4_FREQUENCY: this.A4_FREQUENCY,
+            debugMode: this.debugMode && this.onDebugData !== null, // Don't post debug data nobody reads
+            ...this.getThresholds()
+        };
+    }
+
+    applyConfig(config) {
+        for (const key in this.getConfig()) {
+            if (config[key] !== undefined) {
+                this[key] = config[key];
+            }
+        }
+    }
+
+    // Send changed settings to the worklet, if one is running
+    syncWorklet() {
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'config', config: this.getConfig() });
+        }
+    }
+
+    /**
+     * Follow the instrument profile's pitch search range (see instruments.js)
+     */
+    setInstrument(instrument) {
+        this.MIN_FREQUENCY = instrument.minFrequency;
+        this.MAX_FREQUENCY = instrument.maxFrequency;
+        this.polyphonic.MIN_FREQUENCY = instrument.minFrequency;
+        this.polyphonic.MAX_FREQUENCY = instrument.maxFrequency;
+        this.updateFrameSize();
+        this.syncWorklet();
+    }
+
+    // Pitch estimator: 'yin', 'mpm', 'pyin' or 'hps' (unknown ids fall back to YIN)
+    setPitchAlgorithm(id) {
+        this.PITCH_ALGORITHM = PITCH_ALGORITHMS[id] ? id : 'yin';
+        this.syncWorklet();
+        return this.PITCH_ALGORITHM;
+    }
+
+    // Instance of the selected algorithm, rebuilt when the selection changes
+    getPitchAlgorithm() {
+        if (!this.pitchAlgorithm || this.pitchAlgorithm.id !== this.PITCH_ALGORITHM) {
+            this.pitchAlgorithm = PITCH_ALGORITHMS[this.PITCH_ALGORITHM].create(this);
+            this.pitchAlgorithm.id = this.PITCH_ALGORITHM;
+        }
+        return this.pitchAlgorithm;
+    }
+
+    /**
+     * Smallest power-of-two frame (4096 to 16384) whose YIN window, half the
+     * frame, holds two periods of the lowest frequency: 4096 samples for
+     * guitar, 8192 for 7/8-string guitar and bass at 44.1/48 kHz
+     */
+    updateFrameSize() {
+        const window = 2 * this.sampleRate / this.MIN_FREQUENCY;
+        let size = 4096;
+        while (size / 2 < window && size < 16384) {
+            size *= 2;
+        }
+        this.FRAME_SIZE = size;
+    }
+
+    /**
+     * Turn chord detection on or off; while on, onChordDetected receives the
+     * set of notes sounding together during ATTACK and SUSTAIN
+     */
+    setPolyphonic(enabled) {
+        this.polyphonicEnabled = enabled;
+        this.chordHistory = [];
+        this.currentChord = null;
+    }
+
+    /**
+     * Follow the active tuning: the lowest open string sets the low range check
+     * (a quarter tone below it, so a slightly flat string still counts)
+     */
+    setTuning(tuning) {
+        this.tuning = tuning;
+        this.GUITAR_MIN_FREQUENCY = tuning.getLowestFrequency(this.A4_FREQUENCY) * Math.pow(2, -0.5 / 12);
+        this.syncWorklet();
+    }
+
+    /**
+     * Set the concert pitch reference (A4 in Hz, e.g. 432-446);
+     * note names, cents and the low range check follow it
+     */
+    setA4Frequency(frequency) {
+        this.A4_FREQUENCY = frequency;
+        this.polyphonic.A4_FREQUENCY = frequency;
+        if (this.tuning) {
+            this.setTuning(this.tuning);
+        }
     }
 
     async getAudioDevices() {
@@ -108,17 +267,29 @@ class AudioDetector {
 
             const stream = await navigator.mediaDevices.getUserMedia(constraints);
             this.microphone = this.audioContext.createMediaStreamSource(stream);
-            this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = 4096; // Larger buffer for better low frequency detection
+            this.sampleRate = this.audioContext.sampleRate;
+            this.updateFrameSize();
 
-            this.microphone.connect(this.analyser);
+            // Separate long-window analyser for chord detection
+            this.chordAnalyser = this.audioContext.createAnalyser();
+            this.chordAnalyser.fftSize = this.CHORD_FFT_SIZE;
+            this.microphone.connect(this.chordAnalyser);
 
             this.isDetecting = true;
-            this.detectPitch();
+            try {
+                await this.startWorklet();
+            } catch (error) {
+                console.warn('AudioWorklet unavailable, analysing on the main thread:', error);
+                this.analyser = this.audioContext.createAnalyser();
+                this.analyser.fftSize = this.FRAME_SIZE;
+                this.microphone.connect(this.analyser);
+                this.detectPitch();
+            }
 
             return {
-                sampleRate: this.audioContext.sampleRate,
-                bufferSize: this.analyser.fftSize
+                sampleRate: this.sampleRate,
+                bufferSize: this.FRAME_SIZE,
+                worklet: this.workletNode !== null
             };
         } catch (error) {
             console.error('Error starting audio detection:', error);
@@ -126,9 +297,95 @@ class AudioDetector {
         }
     }
 
+    // Files loaded into the AudioWorkletGlobalScope, in order
+    static get WORKLET_MODULES() {
+        return ['fft.js', 'spectrum-analyser.js', 'polyphonic-detector.js', 'pitch-algorithms.js',
+                'audio-detector.js', 'pitch-worklet.js'];
+    }
+
+    // Analyse frames in an AudioWorklet (see pitch-worklet.js); throws if unsupported
+    async startWorklet() {
+        const worklet = this.audioContext.audioWorklet;
+        if (!worklet) {
+            throw new Error('AudioWorklet is not supported');
+        }
+        for (const file of AudioDetector.WORKLET_MODULES) {
+            await worklet.addModule(file);
+        }
+
+        this.workletNode = new AudioWorkletNode(this.audioContext, 'pitch-detector', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            processorOptions: {
+                frameSize: this.FRAME_SIZE,
+                frameRate: this.FRAME_RATE,
+                config: this.getConfig()
+            }
+        });
+        this.workletNode.port.onmessage = (e) => this.handleWorkletMessage(e.data);
+        this.microphone.connect(this.workletNode);
+
+        // The output is silent; connecting it keeps the node processing
+        this.workletNode.connect(this.audioContext.destination);
+    }
+
+    // Mirror the worklet detector's state, then replay its callbacks in order
+    handleWorkletMessage(message) {
+        if (!this.isDetecting || message.type !== 'frame') return;
+
+        Object.assign(this, message.state);
+        for (const [type, data] of message.events) {
+            switch (type) {
+                case 'note':
+                    if (this.onNoteDetected) this.onNoteDetected(data);
+                    break;
+                case 'silence':
+                    if (this.onSilenceDetected) this.onSilenceDetected();
+                    break;
+                case 'volume':
+                    if (this.onVolumeChange) this.onVolumeChange(data);
+                    break;
+                case 'analysis':
+                    if (this.onAnalysisFrame) this.onAnalysisFrame(data);
+                    break;
+                case 'debug':
+                    if (this.onDebugData) this.onDebugData(data);
+                    break;
+            }
+        }
+
+        if (this.polyphonicEnabled) {
+            this.updateChord();
+        }
+    }
+
+    // Analysis state sent from the worklet with every frame
+    getSnapshot() {
+        return {
+            noteState: this.noteState,
+            envelope: this.envelope,
+            peakEnvelope: this.peakEnvelope,
+            spectralFlux: this.spectralFlux,
+            fluxHistory: this.fluxHistory,
+            harmonicConfidence: this.harmonicConfidence,
+            currentNote: this.currentNote,
+            recentPitches: this.recentPitches,
+            framesSinceAttack: this.framesSinceAttack,
+            framesSinceRelease: this.framesSinceRelease,
+            cooldownFrames: this.cooldownFrames
+        };
+    }
+
     stop() {
         this.isDetecting = false;
 
+        if (this.workletNode) {
+            this.workletNode.port.onmessage = null;
+            this.workletNode.disconnect();
+            this.workletNode = null;
+        }
+
         if (this.microphone) {
             this.microphone.disconnect();
             if (this.microphone.mediaStream) {
@@ -160,24 +417,53 @@ class AudioDetector {
         this.framesSinceRelease = 0;
         this.harmonicConfidence = 0;
         this.recentPitches = [];
+        this.chordHistory = [];
+        this.currentChord = null;
+        if (this.pitchAlgorithm) {
+            this.pitchAlgorithm.reset();
+        }
     }
 
     clearRecentNotes() {
         // Start cooldown period to ignore detections
         this.cooldownFrames = this.COOLDOWN_DURATION;
         this.resetState();
+
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'clear' });
+        }
     }
 
+    // Main-thread fallback: poll the AnalyserNode once per animation frame
     detectPitch() {
         if (!this.isDetecting) return;
 
-        const bufferLength = this.analyser.fftSize;
-        const timeBuffer = new Float32Array(bufferLength);
+        if (this.analyser.fftSize !== this.FRAME_SIZE) {
+            this.analyser.fftSize = this.FRAME_SIZE;
+        }
+        const timeBuffer = new Float32Array(this.analyser.fftSize);
         const freqBuffer = new Uint8Array(this.analyser.frequencyBinCount);
 
         this.analyser.getFloatTimeDomainData(timeBuffer);
         this.analyser.getByteFrequencyData(freqBuffer);
 
+        this.processFrame(timeBuffer, freqBuffer, this.sampleRate, Date.now());
+        if (this.polyphonicEnabled) {
+            this.updateChord();
+        }
+
+        this.animationId = requestAnimationFrame(() => this.detectPitch());
+    }
+
+    /**
+     * Analyse one frame: time-domain samples, the byte spectrum of the same
+     * samples (as from AnalyserNode.getByteFrequencyData) and the frame time in ms
+     */
+    processFrame(timeBuffer, freqBuffer, sampleRate, now) {
+        const bufferLength = timeBuffer.length;
+        this.sampleRate = sampleRate;
+        this.frameTime = now;
+
         // === STEP 1: Calculate Amplitude Envelope (RMS with exponential smoothing) ===
         let sum = 0;
         for (let i = 0; i < bufferLength; i++) {
@@ -204,12 +490,11 @@ class AudioDetector {
             if (this.onNoteDetected) {
                 this.onNoteDetected(null);
             }
-            this.animationId = requestAnimationFrame(() => this.detectPitch());
             return;
         }
 
-        // === STEP 3: Detect pitch using YIN algorithm ===
-        const pitchResult = this.yinPitch(timeBuffer, this.audioContext.sampleRate);
+        // === STEP 3: Detect pitch (YIN unless another algorithm is selected) ===
+        const pitchResult = this.getPitchAlgorithm().estimate(timeBuffer, freqBuffer, sampleRate);
         let detectedPitch = null;
         let yinConfidence = 0;
 
@@ -226,17 +511,25 @@ class AudioDetector {
             this.harmonicConfidence = 0;
         }
 
+        if (this.onAnalysisFrame) {
+            this.onAnalysisFrame({
+                envelope: this.envelope,
+                spectralFlux: this.spectralFlux,
+                frequency: detectedPitch,
+                aperiodicity: detectedPitch ? 1 - yinConfidence : null,
+                harmonicConfidence: this.harmonicConfidence
+            });
+        }
+
         // === STEP 5: ADSR State Machine with Hysteresis ===
         this.updateNoteState(detectedPitch, yinConfidence);
 
         // === STEP 6: Emit results ===
         this.emitNoteDetection();
-
-        this.animationId = requestAnimationFrame(() => this.detectPitch());
     }
 
     calculateSpectralFlux(spectrum) {
-        if (!this.previousSpectrum) {
+        if (!this.previousSpectrum || this.previousSpectrum.length !== spectrum.length) {
             this.previousSpectrum = new Uint8Array(spectrum);
             return 0;
         }
@@ -268,7 +561,7 @@ class AudioDetector {
 
         // Convert pitches to MIDI notes for comparison (semitone resolution)
         const midiNotes = this.recentPitches.map(freq =>
-            Math.round(69 + 12 * Math.log2(freq / 440))
+            Math.round(this.A4_MIDI_NUMBER + 12 * Math.log2(freq / this.A4_FREQUENCY))
         );
 
         // Find most common MIDI note
@@ -331,9 +624,10 @@ class AudioDetector {
                     if (this.framesSinceAttack >= this.ATTACK_HYSTERESIS_FRAMES) {
                         this.noteState = 'ATTACK';
                         this.peakEnvelope = this.envelope;
-                        this.noteStartTime = Date.now();
+                        this.noteStartTime = this.frameTime;
                         this.framesSinceAttack = 0;
                         this.recentPitches = []; // Reset pitch history on new attack
+                        this.currentNote = null; // A note left over from RELEASE isn't this one
                     }
                 } else {
                     this.framesSinceAttack = 0;
@@ -403,7 +697,7 @@ class AudioDetector {
             case 'RELEASE':
                 // Note is decaying, wait for silence
                 if (this.envelope < this.RELEASE_THRESHOLD * 0.5) {
-                    const noteDuration = Date.now() - this.noteStartTime;
+                    const noteDuration = this.frameTime - this.noteStartTime;
 
                     // Only clear note if it lasted long enough
                     if (noteDuration >= this.MIN_NOTE_DURATION) {
@@ -435,6 +729,55 @@ class AudioDetector {
         }
     }
 
+    /**
+     * Multi-pitch reading for the current frame. Notes must persist across most
+     * of the recent frames, so a strum is reported once its strings ring together.
+     */
+    updateChord() {
+        if (this.noteState !== 'ATTACK' && this.noteState !== 'SUSTAIN') {
+            this.chordHistory = [];
+            if (this.currentChord !== null) {
+                this.currentChord = null;
+                if (this.onChordDetected) this.onChordDetected(null);
+            }
+            return;
+        }
+
+        const spectrum = new Uint8Array(this.chordAnalyser.frequencyBinCount);
+        this.chordAnalyser.getByteFrequencyData(spectrum);
+        const notes = this.polyphonic.detect(spectrum, this.audioContext.sampleRate, this.CHORD_FFT_SIZE);
+
+        this.chordHistory.push(notes);
+        if (this.chordHistory.length > this.CHORD_HISTORY_SIZE) {
+            this.chordHistory.shift();
+        }
+        if (this.chordHistory.length < this.CHORD_HISTORY_SIZE) return;
+
+        // Keep notes seen in enough frames (latest reading of each)
+        const counts = {};
+        const latest = {};
+        for (const frame of this.chordHistory) {
+            for (const note of frame) {
+                counts[note.midiNumber] = (counts[note.midiNumber] || 0) + 1;
+                latest[note.midiNumber] = note;
+            }
+        }
+        const stable = Object.keys(counts)
+            .filter(midi => counts[midi] >= this.CHORD_HISTORY_SIZE * this.CHORD_MIN_SHARE)
+            .map(midi => latest[midi])
+            .sort((a, b) => a.midiNumber - b.midiNumber);
+
+        this.currentChord = stable.length > 0 ? {
+            notes: stable,
+            pitchClasses: [...new Set(stable.map(n => n.name))],
+            state: this.noteState
+        } : null;
+
+        if (this.onChordDetected) {
+            this.onChordDetected(this.currentChord);
+        }
+    }
+
     emitNoteDetection() {
         if (this.onNoteDetected) {
             if (this.currentNote && (this.noteState === 'SUSTAIN' || this.noteState === 'ATTACK')) {
@@ -445,6 +788,7 @@ class AudioDetector {
                     cents: this.currentNote.cents,
                     name: this.currentNote.name,
                     octave: this.currentNote.octave,
+                    midiNumber: this.currentNote.midiNumber,
                     confidence: this.currentNote.confidence,
                     harmonicConfidence: this.currentNote.harmonicConfidence,
                     state: this.noteState
@@ -475,7 +819,8 @@ class AudioDetector {
                     noteState: this.noteState,
                     envelope: this.envelope.toFixed(4),
                     spectralFlux: this.spectralFlux.toFixed(4),
-                    harmonicConf: this.harmonicConfidence.toFixed(2)
+                    harmonicConf: this.harmonicConfidence.toFixed(2),
+                    algorithm: PITCH_ALGORITHMS[this.PITCH_ALGORITHM].name
                 }
             });
         }
@@ -487,31 +832,8 @@ class AudioDetector {
      * by Cheveigne & Kawahara (2002)
      */
     yinPitch(buffer, sampleRate) {
-        const bufferSize = buffer.length;
-        const halfSize = Math.floor(bufferSize / 2);
-
-        // Step 1: Calculate difference function
-        // d(tau) = sum of squared differences between buffer[i] and buffer[i+tau]
-        const differenceFunction = new Float32Array(halfSize);
-        for (let tau = 0; tau < halfSize; tau++) {
-            let sum = 0;
-            for (let i = 0; i < halfSize; i++) {
-                const delta = buffer[i] - buffer[i + tau];
-                sum += delta * delta;
-            }
-            differenceFunction[tau] = sum;
-        }
-
-        // Step 2: Cumulative mean normalized difference function (CMNDF)
-        // d'(tau) = d(tau) / [(1/tau) * sum(d(j)) for j=1 to tau]
-        const cmndf = new Float32Array(halfSize);
-        cmndf[0] = 1; // By definition
-
-        let runningSum = 0;
-        for (let tau = 1; tau < halfSize; tau++) {
-            runningSum += differenceFunction[tau];
-            cmndf[tau] = differenceFunction[tau] / (runningSum / tau);
-        }
+        // Steps 1-2: difference function and its CMNDF
+        const cmndf = this.cumulativeMeanNormalizedDifference(buffer);
 
         // Step 3: Absolute threshold - find first tau where CMNDF < threshold
         const minTau = Math.floor(sampleRate / this.MAX_FREQUENCY);
@@ -559,14 +881,110 @@ class AudioDetector {
         };
     }
 
+    // YIN steps 1-2, shared with pYIN (see pitch-algorithms.js)
+    cumulativeMeanNormalizedDifference(buffer) {
+        const halfSize = Math.floor(buffer.length / 2);
+
+        // Step 1: Calculate difference function
+        // d(tau) = sum of squared differences between buffer[i] and buffer[i+tau]
+        const differenceFunction = this.differenceFunction(buffer);
+
+        // Step 2: Cumulative mean normalized difference function (CMNDF)
+        // d'(tau) = d(tau) / [(1/tau) * sum(d(j)) for j=1 to tau]
+        const cmndf = new Float32Array(halfSize);
+        cmndf[0] = 1; // By definition
+
+        let runningSum = 0;
+        for (let tau = 1; tau < halfSize; tau++) {
+            runningSum += differenceFunction[tau];
+            cmndf[tau] = differenceFunction[tau] / (runningSum / tau);
+        }
+        return cmndf;
+    }
+
+    /**
+     * YIN difference function for tau < N/2 over a window of W = N/2 samples.
+     * Expanding (x[i] - x[i+tau])^2 gives two energy terms, taken from running
+     * sums of squares, minus twice the correlation of the first W samples with
+     * the frame, computed with FFTs (as in McLeod's method and YIN-FFT):
+     * O(N log N) instead of the O(N^2) direct sum
+     */
+    differenceFunction(buffer) {
+        const size = buffer.length;
+        const halfSize = Math.floor(size / 2);
+        if (!Number.isInteger(Math.log2(size))) {
+            return this.differenceFunctionDirect(buffer);
+        }
+
+        if (!this.yinFFT || this.yinFFT.size !== size) {
+            this.yinFFT = new FFT(size);
+            this.yinBuffers = {
+                windowReal: new Float64Array(size),
+                windowImag: new Float64Array(size),
+                frameReal: new Float64Array(size),
+                frameImag: new Float64Array(size)
+            };
+        }
+        const { windowReal, windowImag, frameReal, frameImag } = this.yinBuffers;
+
+        // Spectra of the first W samples (zero-padded) and of the whole frame
+        for (let i = 0; i < size; i++) {
+            windowReal[i] = i < halfSize ? buffer[i] : 0;
+            windowImag[i] = 0;
+            frameReal[i] = buffer[i];
+            frameImag[i] = 0;
+        }
+        this.yinFFT.forward(windowReal, windowImag);
+        this.yinFFT.forward(frameReal, frameImag);
+
+        // Cross-correlation r(tau) = sum x[i] * x[i+tau] = IFFT(conj(W) * F); i + tau < N, so no wrap-around
+        for (let k = 0; k < size; k++) {
+            const real = windowReal[k] * frameReal[k] + windowImag[k] * frameImag[k];
+            const imag = windowReal[k] * frameImag[k] - windowImag[k] * frameReal[k];
+            frameReal[k] = real;
+            frameImag[k] = imag;
+        }
+        this.yinFFT.inverse(frameReal, frameImag);
+
+        // d(tau) = sum(x[i]^2, i < W) + sum(x[i]^2, tau <= i < tau + W) - 2 r(tau)
+        let windowEnergy = 0;
+        for (let i = 0; i < halfSize; i++) {
+            windowEnergy += buffer[i] * buffer[i];
+        }
+
+        const differenceFunction = new Float32Array(halfSize);
+        let shiftedEnergy = windowEnergy;
+        for (let tau = 0; tau < halfSize; tau++) {
+            differenceFunction[tau] = Math.max(0, windowEnergy + shiftedEnergy - 2 * frameReal[tau]);
+            const leaving = buffer[tau];
+            const entering = buffer[tau + halfSize];
+            shiftedEnergy += entering * entering - leaving * leaving;
+        }
+        differenceFunction[0] = 0;
+        return differenceFunction;
+    }
+
+    // Direct O(N^2) difference function, for frames that are not a power of two
+    differenceFunctionDirect(buffer) {
+        const halfSize = Math.floor(buffer.length / 2);
+        const differenceFunction = new Float32Array(halfSize);
+        for (let tau = 0; tau < halfSize; tau++) {
+            let sum = 0;
+            for (let i = 0; i < halfSize; i++) {
+                const delta = buffer[i] - buffer[i + tau];
+                sum += delta * delta;
+            }
+            differenceFunction[tau] = sum;
+        }
+        return differenceFunction;
+    }
+
     /**
      * Calculate harmonic confidence by checking if expected harmonics
      * are present in the frequency spectrum
      */
     calculateHarmonicConfidence(spectrum, fundamentalFreq) {
-        const sampleRate = this.audioContext.sampleRate;
-        const fftSize = this.analyser.fftSize;
-        const binWidth = sampleRate / fftSize;
+        const binWidth = this.sampleRate / (spectrum.length * 2);
 
         // Check first 5 harmonics
         const numHarmonics = 5;
@@ -575,7 +993,7 @@ class AudioDetector {
 
         for (let h = 1; h <= numHarmonics; h++) {
             const harmonicFreq = fundamentalFreq * h;
-            if (harmonicFreq > sampleRate / 2) break;
+            if (harmonicFreq > this.sampleRate / 2) break;
 
             // Find the bin corresponding to this harmonic
             const binIndex = Math.round(harmonicFreq / binWidth);
@@ -626,6 +1044,7 @@ class AudioDetector {
      */
     setDebugMode(enabled) {
         this.debugMode = enabled;
+        this.syncWorklet();
         if (enabled) {
             console.log('Audio Detector Debug Mode ENABLED');
             console.log('Parameters:', {
@@ -668,6 +1087,7 @@ class AudioDetector {
                 console.log('%cCOOLDOWN ACTIVE', 'color: #ffaa00;');
             }
         };
+        this.syncWorklet();
     }
 
     /**
@@ -700,7 +1120,7 @@ class AudioDetector {
             console.log(`  Note: ${data.currentNote.name}${data.currentNote.octave}`);
             console.log(`  Freq: ${data.currentNote.frequency.toFixed(2)} Hz`);
             console.log(`  Cents: ${data.currentNote.cents > 0 ? '+' : ''}${data.currentNote.cents}`);
-            console.log(`  YIN Confidence: ${(data.currentNote.confidence * 100).toFixed(1)}%`);
+            console.log(`  ${state.algorithm} Confidence: ${(data.currentNote.confidence * 100).toFixed(1)}%`);
             console.log(`  Harmonic Conf:  ${state.harmonicConf}`);
 
             this.printBar('Pitch Accuracy', 50 + (data.currentNote.cents / 2), 100);
@@ -729,6 +1149,7 @@ class AudioDetector {
      */
     getDebugState() {
         return {
+            algorithm: PITCH_ALGORITHMS[this.PITCH_ALGORITHM].name,
             noteState: this.noteState,
             envelope: {
                 current: this.envelope.toFixed(4),
@@ -789,3 +1210,8 @@ class AudioDetector {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AudioDetector;
 }
+
+// Make the class available to the audio worklet (see pitch-worklet.js)
+if (typeof AudioWorkletGlobalScope !== 'undefined') {
+    globalThis.AudioDetector = AudioDetector;
+}
@@ -0,0 +1,178 @@
+/**
+ * Guided microphone calibration: derives detection thresholds for one input device.
+ *
+ * The wizard first records the room with the strings muted ('noise' step), then
+ * asks for one pluck of each chosen open string ('pluck' steps). It is fed the
+ * detector's per-frame measurements (AudioDetector.onAnalysisFrame) and turns
+ * them into values for AudioDetector.setThresholds.
+ *
+ * Usage:
+ *   const calibration = new Calibration([{ name: 'Low E (6th)', frequency: 82.4 }, ...]);
+ *   detector.onAnalysisFrame = (frame) => calibration.addFrame(frame);
+ *   // ...once calibration.getStep().type === 'done':
+ *   detector.setThresholds(calibration.computeThresholds());
+ */
+class Calibration {
+    constructor(strings) {
+        this.strings = strings; // [{ name, frequency }] open strings to pluck
+
+        this.NOISE_DURATION_MS = 3000;  // Room noise recording
+        this.PLUCK_MIN_FRAMES = 20;     // Pitched frames needed per string
+        this.PITCH_TOLERANCE_CENTS = 80; // Frames this close to the open string count
+        this.YIN_MEASURE_THRESHOLD = 0.5; // Loose YIN threshold while measuring (see app.js)
+
+        this.reset();
+    }
+
+    reset(now = Date.now()) {
+        this.stepIndex = 0; // 0 is the noise step, 1..n the strings
+        this.stepStartedAt = now;
+        this.noise = { envelopes: [], fluxes: [] };
+        this.plucks = this.strings.map(() => ({
+            peakEnvelope: 0,
+            peakFlux: 0,
+            aperiodicities: [],
+            harmonicConfidences: [],
+            skipped: false
+        }));
+    }
+
+    /**
+     * Current step: { type ('noise'|'pluck'|'done'), index, string, progress (0-1) }
+     */
+    getStep(now = Date.now()) {
+        if (this.stepIndex === 0) {
+            return {
+                type: 'noise',
+                index: 0,
+                string: null,
+                progress: Math.min(1, (now - this.stepStartedAt) / this.NOISE_DURATION_MS)
+            };
+        }
+        if (this.stepIndex > this.strings.length) {
+            return { type: 'done', index: this.stepIndex, string: null, progress: 1 };
+        }
+
+        const pluck = this.plucks[this.stepIndex - 1];
+        return {
+            type: 'pluck',
+            index: this.stepIndex,
+            string: this.strings[this.stepIndex - 1],
+            progress: Math.min(1, pluck.aperiodicities.length / this.PLUCK_MIN_FRAMES)
+        };
+    }
+
+    /**
+     * Add one analysis frame:
+     * { envelope, spectralFlux, frequency, aperiodicity, harmonicConfidence }
+     * Returns true when the frame completed the current step.
+     */
+    addFrame(frame, now = Date.now()) {
+        const step = this.getStep(now);
+
+        if (step.type === 'noise') {
+            this.noise.envelopes.push(frame.envelope);
+            this.noise.fluxes.push(frame.spectralFlux);
+            if (now - this.stepStartedAt >= this.NOISE_DURATION_MS) {
+                this.nextStep(now);
+                return true;
+            }
+            return false;
+        }
+
+        if (step.type !== 'pluck') return false;
+
+        // Level and onset strength of anything clearly above the room
+        const pluck = this.plucks[step.index - 1];
+        if (frame.envelope > this.getNoiseLevel() * 2) {
+            pluck.peakEnvelope = Math.max(pluck.peakEnvelope, frame.envelope);
+            pluck.peakFlux = Math.max(pluck.peakFlux, frame.spectralFlux);
+        }
+
+        // Periodicity and harmonic structure of frames at the string's pitch
+        if (frame.frequency) {
+            const cents = Math.abs(1200 * Math.log2(frame.frequency / step.string.frequency));
+            if (cents <= this.PITCH_TOLERANCE_CENTS) {
+                pluck.aperiodicities.push(frame.aperiodicity);
+                pluck.harmonicConfidences.push(frame.harmonicConfidence);
+            }
+        }
+
+        if (pluck.aperiodicities.length >= this.PLUCK_MIN_FRAMES) {
+            this.nextStep(now);
+            return true;
+        }
+        return false;
+    }
+
+    // Move past a string that cannot be measured (e.g. a broken string)
+    skip(now = Date.now()) {
+        if (this.getStep(now).type !== 'pluck') return;
+        this.plucks[this.stepIndex - 1].skipped = true;
+        this.nextStep(now);
+    }
+
+    nextStep(now) {
+        this.stepIndex++;
+        this.stepStartedAt = now;
+    }
+
+    // Loud end of the room noise (95th percentile of the envelope)
+    getNoiseLevel() {
+        return Calibration.percentile(this.noise.envelopes, 0.95);
+    }
+
+    static percentile(values, p) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    }
+
+    static clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    /**
+     * Thresholds for AudioDetector.setThresholds. Energy thresholds sit above
+     * the noise and below the weakest pluck; onset, YIN and harmonic thresholds
+     * leave a margin around what the plucks measured. Throws an Error when
+     * no string was measured or the plucks barely rise above the noise.
+     */
+    computeThresholds() {
+        const measured = this.plucks.filter(p => !p.skipped && p.aperiodicities.length > 0);
+        if (measured.length === 0) {
+            throw new Error('No string was measured');
+        }
+
+        const noiseLevel = this.getNoiseLevel();
+        const noiseFlux = Calibration.percentile(this.noise.fluxes, 0.95);
+        const weakestPluck = Math.min(...measured.map(p => p.peakEnvelope));
+        const weakestOnset = Math.min(...measured.map(p => p.peakFlux));
+
+        // Keep the defaults' ratios (release 1 : attack 1.5 : slow attack 2.5)
+        const release = Math.max(0.001, noiseLevel * 2);
+        if (release * 2.5 > weakestPluck * 0.5) {
+            throw new Error('The plucks were too quiet compared with the room noise; ' +
+                            'raise the input gain or move the microphone closer');
+        }
+
+        const aperiodicities = [].concat(...measured.map(p => p.aperiodicities));
+        const harmonicConfidences = [].concat(...measured.map(p => p.harmonicConfidences));
+
+        return {
+            RELEASE_THRESHOLD: release,
+            ATTACK_THRESHOLD: release * 1.5,
+            SLOW_ATTACK_THRESHOLD: release * 2.5,
+            ONSET_THRESHOLD: Calibration.clamp(
+                Math.min(Math.max(noiseFlux * 2, 0.02), weakestOnset * 0.5), 0.02, 0.5),
+            YIN_THRESHOLD: Calibration.clamp(Calibration.percentile(aperiodicities, 0.9) * 1.5, 0.08, 0.35),
+            MIN_HARMONIC_CONFIDENCE: Calibration.clamp(
+                Calibration.percentile(harmonicConfidences, 0.1) * 0.8, 0.2, 0.7)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Calibration;
+}
@@ -0,0 +1,97 @@
+// Interval and chord qualities for the polyphonic exercises (semitones above the root)
+const CHORD_TYPES = {
+    // Intervals (double-stops)
+    minorThird: { category: 'intervals', name: 'minor 3rd', symbol: 'm3', intervals: [0, 3] },
+    majorThird: { category: 'intervals', name: 'major 3rd', symbol: 'M3', intervals: [0, 4] },
+    perfectFourth: { category: 'intervals', name: 'perfect 4th', symbol: 'P4', intervals: [0, 5] },
+    perfectFifth: { category: 'intervals', name: 'perfect 5th', symbol: 'P5', intervals: [0, 7] },
+    minorSixth: { category: 'intervals', name: 'minor 6th', symbol: 'm6', intervals: [0, 8] },
+    majorSixth: { category: 'intervals', name: 'major 6th', symbol: 'M6', intervals: [0, 9] },
+
+    // Triads
+    major: { category: 'triads', name: 'major', symbol: '', intervals: [0, 4, 7] },
+    minor: { category: 'triads', name: 'minor', symbol: 'm', intervals: [0, 3, 7] },
+    diminished: { category: 'triads', name: 'diminished', symbol: 'dim', intervals: [0, 3, 6] },
+    augmented: { category: 'triads', name: 'augmented', symbol: 'aug', intervals: [0, 4, 8] },
+    sus2: { category: 'triads', name: 'suspended 2nd', symbol: 'sus2', intervals: [0, 2, 7] },
+    sus4: { category: 'triads', name: 'suspended 4th', symbol: 'sus4', intervals: [0, 5, 7] },
+
+    // Seventh chords
+    dominant7: { category: 'sevenths', name: 'dominant 7th', symbol: '7', intervals: [0, 4, 7, 10] },
+    major7: { category: 'sevenths', name: 'major 7th', symbol: 'maj7', intervals: [0, 4, 7, 11] },
+    minor7: { category: 'sevenths', name: 'minor 7th', symbol: 'm7', intervals: [0, 3, 7, 10] },
+    halfDiminished7: { category: 'sevenths', name: 'half-diminished 7th', symbol: 'm7b5', intervals: [0, 3, 6, 10] }
+};
+
+// A chord or interval on a given root, spelled with sharps or flats to match the root
+class Chord {
+    constructor(root, typeId) {
+        this.root = root;
+        this.typeId = typeId;
+        this.type = CHORD_TYPES[typeId];
+    }
+
+    static get SHARP_NAMES() {
+        return ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    }
+
+    static get FLAT_NAMES() {
+        return ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+    }
+
+    // Chord types of a category ('intervals', 'triads', 'sevenths')
+    static getTypes(category) {
+        return Object.keys(CHORD_TYPES).filter(id => CHORD_TYPES[id].category === category);
+    }
+
+    // Pitch class (0-11) of a note name with or without octave ("Eb", "F#3")
+    static pitchClassOf(note) {
+        const name = note.replace(/[0-9-]/g, '');
+        const sharp = Chord.SHARP_NAMES.indexOf(name);
+        return sharp !== -1 ? sharp : Chord.FLAT_NAMES.indexOf(name);
+    }
+
+    getPitchClasses() {
+        const root = Chord.pitchClassOf(this.root);
+        return this.type.intervals.map(i => (root + i) % 12);
+    }
+
+    getNoteNames() {
+        const names = this.root.includes('b') ? Chord.FLAT_NAMES : Chord.SHARP_NAMES;
+        return this.getPitchClasses().map(pc => names[pc]);
+    }
+
+    // "Cm", "G7", or "C + minor 3rd" for intervals
+    getSymbol() {
+        if (this.type.category === 'intervals') {
+            return `${this.root} + ${this.type.name}`;
+        }
+        return `${this.root}${this.type.symbol}`;
+    }
+
+    getName() {
+        if (this.type.category === 'intervals') {
+            return `${this.getNoteNames().join('-')} (${this.type.name})`;
+        }
+        return `${this.root} ${this.type.name}`;
+    }
+
+    /**
+     * Compare detected note names with the chord: every chord tone must sound
+     * and nothing else. Returns { correct, missing, extra } (note names)
+     */
+    match(playedNotes) {
+        const expected = this.getPitchClasses();
+        const played = [...new Set(playedNotes.map(n => Chord.pitchClassOf(n)).filter(pc => pc !== -1))];
+        const names = this.root.includes('b') ? Chord.FLAT_NAMES : Chord.SHARP_NAMES;
+
+        const missing = expected.filter(pc => !played.includes(pc)).map(pc => names[pc]);
+        const extra = played.filter(pc => !expected.includes(pc)).map(pc => names[pc]);
+        return { correct: missing.length === 0 && extra.length === 0, missing: missing, extra: extra };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Chord, CHORD_TYPES };
+}
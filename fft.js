@@ -0,0 +1,89 @@
+/**
+ * In-place radix-2 FFT for power-of-two sizes.
+ *
+ * Usage:
+ *   const fft = new FFT(4096);
+ *   fft.forward(real, imag); // Float32Arrays or Float64Arrays of length 4096
+ *   fft.inverse(real, imag); // Back to the signal (scaled by 1/N)
+ */
+class FFT {
+    constructor(size) {
+        if (!Number.isInteger(Math.log2(size)) || size < 2) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+        this.size = size;
+
+        // Bit-reversal permutation
+        const bits = Math.log2(size);
+        this.reverse = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.reverse[i] = reversed;
+        }
+
+        // Twiddle factors e^(-2πik/N) for k < N/2
+        this.cosTable = new Float64Array(size / 2);
+        this.sinTable = new Float64Array(size / 2);
+        for (let k = 0; k < size / 2; k++) {
+            this.cosTable[k] = Math.cos(2 * Math.PI * k / size);
+            this.sinTable[k] = -Math.sin(2 * Math.PI * k / size);
+        }
+    }
+
+    forward(real, imag) {
+        const n = this.size;
+
+        for (let i = 0; i < n; i++) {
+            const j = this.reverse[i];
+            if (j > i) {
+                let t = real[i]; real[i] = real[j]; real[j] = t;
+                t = imag[i]; imag[i] = imag[j]; imag[j] = t;
+            }
+        }
+
+        for (let length = 2; length <= n; length <<= 1) {
+            const half = length >> 1;
+            const step = n / length;
+            for (let start = 0; start < n; start += length) {
+                for (let k = 0; k < half; k++) {
+                    const wr = this.cosTable[k * step];
+                    const wi = this.sinTable[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = real[b] * wr - imag[b] * wi;
+                    const ti = real[b] * wi + imag[b] * wr;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+    }
+
+    // Inverse transform through the forward one: conj(FFT(conj(X))) / N
+    inverse(real, imag) {
+        const n = this.size;
+        for (let i = 0; i < n; i++) {
+            imag[i] = -imag[i];
+        }
+        this.forward(real, imag);
+        for (let i = 0; i < n; i++) {
+            real[i] /= n;
+            imag[i] = -imag[i] / n;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FFT;
+}
+
+// Make the class available to the audio worklet (see pitch-worklet.js)
+if (typeof AudioWorkletGlobalScope !== 'undefined') {
+    globalThis.FFT = FFT;
+}
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+// Current layout of the store document:
+// {
+//   version: 1,
+//   profiles: { activeId, profiles: [{ id, name, createdAt }] },
+//   data: { <profileId>: { state, srs, latency, positions, history, devices, ... } }
+// }
+// where devices is { <deviceId>: { thresholds, calibratedAt, label } } (microphone calibration)
+const SCHEMA_VERSION = 1;
+
+const PROFILE_KEY_PATTERN = /^fretlearner_(.+)_([a-z]+)$/;
+
+// Migrations from version N to N + 1, applied in order on load and import
+const MIGRATIONS = {
+  // 0 -> 1: raw renderer localStorage ({ localStorage: { key: jsonString } }) to the store document
+  0: function (doc) {
+    const items = doc.localStorage || {};
+    const migrated = { version: 1, profiles: null, data: {} };
+
+    function parse(key) {
+      try {
+        return JSON.parse(items[key]);
+      } catch (e) {
+        console.error(`Skipping unreadable localStorage key ${key}:`, e);
+        return null;
+      }
+    }
+
+    if (items.fretlearner_profiles) {
+      migrated.profiles = parse('fretlearner_profiles');
+    }
+    if (!migrated.profiles) {
+      migrated.profiles = {
+        activeId: 'default',
+        profiles: [{ id: 'default', name: 'Default', createdAt: Date.now() }]
+      };
+    }
+
+    for (const key of Object.keys(items)) {
+      if (key === 'fretlearner_profiles') continue;
+
+      // Keys from before profiles existed (fretlearner_state, ...) belong to the default profile
+      const legacy = key.match(/^fretlearner_(state|srs|latency|positions|history)$/);
+      const scoped = key.match(PROFILE_KEY_PATTERN);
+      const profileId = legacy ? 'default' : scoped && scoped[1];
+      const name = legacy ? legacy[1] : scoped && scoped[2];
+      if (!profileId) continue;
+
+      const value = parse(key);
+      if (value === null) continue;
+      if (!migrated.data[profileId]) migrated.data[profileId] = {};
+      migrated.data[profileId][name] = value;
+    }
+
+    return migrated;
+  }
+};
+
+function createEmptyDocument() {
+  return { version: SCHEMA_VERSION, profiles: null, data: {} };
+}
+
+// Bring a document of any older version up to SCHEMA_VERSION
+function migrate(doc) {
+  let version = typeof doc.version === 'number' ? doc.version : 0;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Store version ${version} is newer than this app supports (${SCHEMA_VERSION})`);
+  }
+
+  let migrated = doc;
+  while (version < SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+    migrated.version = version;
+    console.log(`Migrated store to version ${version}`);
+  }
+  return migrated;
+}
+
+function validate(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Store document is not an object');
+  }
+  if (doc.version !== undefined && typeof doc.version !== 'number') {
+    throw new Error('Store document has an invalid version');
+  }
+  if (doc.data !== undefined && (typeof doc.data !== 'object' || doc.data === null)) {
+    throw new Error('Store document has invalid profile data');
+  }
+}
+
+/**
+ * Versioned JSON store in the user-data directory.
+ *
+ * Writes go to a temporary file that is renamed over the store, so a crash
+ * never leaves a half-written file. The previous file is copied into a
+ * rolling set of backups at most once per BACKUP_INTERVAL_MS.
+ */
+class FileStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.filePath = path.join(directory, 'fretlearner-store.json');
+    this.backupDirectory = path.join(directory, 'backups');
+
+    this.MAX_BACKUPS = 10;
+    this.BACKUP_INTERVAL_MS = 60 * 60 * 1000; // One backup per hour of practice
+    this.lastBackupAt = 0;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  // Read and migrate the store; a corrupt file falls back to the newest readable backup
+  load() {
+    if (!this.exists()) {
+      return null;
+    }
+
+    try {
+      return this.readDocument(this.filePath);
+    } catch (e) {
+      console.error('Error loading store, trying backups:', e);
+    }
+
+    for (const backup of this.listBackups().reverse()) {
+      try {
+        const doc = this.readDocument(backup);
+        console.log('Restored store from backup', backup);
+        return doc;
+      } catch (e) {
+        console.error('Unreadable backup', backup, e);
+      }
+    }
+    return null;
+  }
+
+  readDocument(filePath) {
+    const doc = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    validate(doc);
+    return migrate(doc);
+  }
+
+  // Atomic write: temp file, fsync, rename over the store
+  save(doc) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.rotateBackups();
+
+    const content = JSON.stringify({ ...doc, version: SCHEMA_VERSION, savedAt: Date.now() });
+    const tempPath = `${this.filePath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Copy the current store into backups/ (when due, or always with force) and prune old ones
+  rotateBackups(force = false, now = Date.now()) {
+    if (!this.exists()) return;
+    if (!force && now - this.lastBackupAt < this.BACKUP_INTERVAL_MS) return;
+
+    fs.mkdirSync(this.backupDirectory, { recursive: true });
+    const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+    fs.copyFileSync(this.filePath, path.join(this.backupDirectory, `fretlearner-store-${stamp}.json`));
+    this.lastBackupAt = now;
+
+    const backups = this.listBackups();
+    backups.slice(0, Math.max(0, backups.length - this.MAX_BACKUPS)).forEach(file => fs.unlinkSync(file));
+  }
+
+  // Backup files, oldest first (timestamps in the names sort chronologically)
+  listBackups() {
+    if (!fs.existsSync(this.backupDirectory)) return [];
+    return fs.readdirSync(this.backupDirectory)
+      .filter(name => name.startsWith('fretlearner-store-') && name.endsWith('.json'))
+      .sort()
+      .map(name => path.join(this.backupDirectory, name));
+  }
+
+  // Write the full store to a user-chosen file
+  exportBackup(filePath, doc) {
+    fs.writeFileSync(filePath, JSON.stringify({ ...doc, version: SCHEMA_VERSION, exportedAt: Date.now() }, null, 2), 'utf8');
+  }
+
+  // Replace the store with a backup file; the current store is backed up first
+  importBackup(filePath) {
+    const doc = this.readDocument(filePath);
+    this.rotateBackups(true);
+    this.save(doc);
+    return doc;
+  }
+}
+
+module.exports = { FileStore, SCHEMA_VERSION, MIGRATIONS, migrate, createEmptyDocument };
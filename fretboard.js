@@ -4,18 +4,25 @@ class Fretboard {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
 
-        // Guitar configuration (standard tuning, 6 strings)
-        this.strings = [
-            { note: 'E', octave: 4, name: 'High E' },  // 1st string (thinnest)
-            { note: 'B', octave: 3, name: 'B' },        // 2nd string
-            { note: 'G', octave: 3, name: 'G' },        // 3rd string
-            { note: 'D', octave: 3, name: 'D' },        // 4th string
-            { note: 'A', octave: 2, name: 'A' },        // 5th string
-            { note: 'E', octave: 2, name: 'Low E' }     // 6th string (thickest)
-        ];
-
-        this.numFrets = 12; // Show first 12 frets
+        // Instrument configuration (index 0 is the 1st/thinnest string)
+        this.instrument = Instrument.fromId('guitar6');
+        this.tuning = null;
+        this.strings = [];
+        this.setTuning(Tuning.fromPreset('standard'), false);
+
+        this.numFrets = 12; // Show first 12 frets (configurable up to 24, see setNumFrets)
         this.highlightedNote = null;
+        this.highlightedShape = null; // [{ string, fret, note }] for chord and interval targets
+        this.highlightedSequence = null; // { positions: [{ string, fret, number }], current } for scale runs
+        this.positionWindow = null; // { start, end } frets shaded for position practice
+
+        // Mastery heatmap overlay ("string:fret" -> { score }), null when off
+        this.heatmap = null;
+        this.selectedCell = null;
+        this.onCellClick = null; // Called with (string, fret) when a cell is clicked
+        this.layout = null;      // Geometry of the last draw, used for hit testing
+
+        this.canvas.addEventListener('click', (e) => this.handleClick(e));
 
         // Chromatic notes
         this.chromaticNotes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -24,11 +31,104 @@ class Fretboard {
         this.draw();
     }
 
+    // Apply an instrument profile (see instruments.js); call setTuning afterwards
+    setInstrument(instrument) {
+        this.instrument = instrument;
+        this.numFrets = Math.min(this.numFrets, instrument.frets);
+    }
+
+    // Number of frets drawn and searched, limited by the instrument (max 24)
+    setNumFrets(count) {
+        this.numFrets = Math.max(1, Math.min(count, this.instrument.frets, 24));
+        this.draw();
+        return this.numFrets;
+    }
+
+    // Colour every string/fret cell by mastery (pass null to turn the overlay off)
+    setHeatmap(heatmap) {
+        this.heatmap = heatmap;
+        if (!heatmap) {
+            this.selectedCell = null;
+        }
+        this.draw();
+    }
+
+    selectCell(string, fret) {
+        this.selectedCell = string === null ? null : { string, fret };
+        this.draw();
+    }
+
+    // Map a click to a string/fret cell using the geometry of the last draw
+    handleClick(e) {
+        if (!this.layout || !this.onCellClick) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+
+        const cell = this.getCellAt(x, y);
+        if (cell) {
+            this.onCellClick(cell.string, cell.fret);
+        }
+    }
+
+    getCellAt(x, y) {
+        const { fretPositions, stringSpacing, margin } = this.layout;
+
+        const string = Math.round((y - margin) / stringSpacing);
+        if (string < 0 || string >= this.strings.length) return null;
+        if (Math.abs(y - (margin + string * stringSpacing)) > stringSpacing / 2) return null;
+
+        // Open strings sit left of the nut
+        if (x >= fretPositions[0] - 45 && x < fretPositions[0]) {
+            return { string, fret: 0 };
+        }
+        for (let fret = 1; fret <= this.numFrets; fret++) {
+            if (x >= fretPositions[fret - 1] && x < fretPositions[fret]) {
+                return { string, fret };
+            }
+        }
+        return null;
+    }
+
+    // Red (weak) to green (mastered)
+    getHeatColor(score) {
+        return `hsla(${Math.round(score * 120)}, 70%, 45%, 0.7)`;
+    }
+
+    // Shade a fret window (or pass null to clear it)
+    setPositionWindow(window) {
+        this.positionWindow = window;
+        this.draw();
+    }
+
+    // Apply a tuning (see tuning.js) and optionally redraw
+    setTuning(tuning, redraw = true) {
+        const names = tuning.getStringNames();
+        this.tuning = tuning;
+        this.strings = tuning.strings.map((s, i) => ({
+            note: s.note,
+            octave: s.octave,
+            name: names[i]
+        }));
+
+        if (redraw) {
+            this.resize();
+            this.draw();
+        }
+    }
+
     resize() {
-        // Set canvas size
-        const container = this.canvas.parentElement;
+        // Set canvas size, keeping string spacing constant so 4 to 8 strings all fit
+        const stringSpacing = 20;
         this.canvas.width = 1000;
-        this.canvas.height = 200;
+        this.canvas.height = 100 + (this.strings.length - 1) * stringSpacing;
+    }
+
+    // Lower strings are drawn thicker; based on pitch so re-entrant tunings look right
+    getStringThickness(stringIndex) {
+        const midi = this.getMidiAt(stringIndex, 0);
+        return Math.max(1, Math.min(6, 1 + (76 - midi) * 0.1));
     }
 
     // Get note at specific string and fret
@@ -46,19 +146,235 @@ class Fretboard {
         };
     }
 
+    // Get MIDI number for a specific string and fret
+    getMidiAt(stringIndex, fret) {
+        const stringInfo = this.strings[stringIndex];
+        const openMidi = (stringInfo.octave + 1) * 12 + this.chromaticNotes.indexOf(stringInfo.note);
+        return openMidi + fret;
+    }
+
+    // Get every string/fret position that produces an exact pitch (MIDI number)
+    getPositionsForMidi(midiNumber) {
+        const positions = [];
+        for (let s = 0; s < this.strings.length; s++) {
+            const fret = midiNumber - this.getMidiAt(s, 0);
+            if (fret >= 0 && fret <= this.numFrets) {
+                positions.push({ string: s, fret: fret });
+            }
+        }
+        return positions;
+    }
+
     // Highlight a specific note on the fretboard
     highlight(note, string = null, fret = null) {
         console.log('Fretboard highlight called:', { note, string, fret });
         this.highlightedNote = { note, string, fret };
+        this.highlightedShape = null;
+        this.highlightedSequence = null;
+        this.draw();
+    }
+
+    // Highlight several positions at once (a chord voicing, see findChordVoicing)
+    highlightShape(positions) {
+        this.highlightedNote = null;
+        this.highlightedSequence = null;
+        this.highlightedShape = positions.map(p => ({
+            string: p.string,
+            fret: p.fret,
+            note: this.getNoteAt(p.string, p.fret).note
+        }));
+        this.draw();
+    }
+
+    /**
+     * Show a run of positions as numbered dots (see findScalePattern). A position
+     * played twice (up and back down) keeps its first number; the position of
+     * step current is marked as the next one to play.
+     */
+    highlightSequence(steps, current) {
+        const positions = [];
+        steps.forEach((step, i) => {
+            if (!positions.some(p => p.string === step.string && p.fret === step.fret)) {
+                positions.push({ string: step.string, fret: step.fret, number: i + 1 });
+            }
+        });
+        const next = steps[current];
+
+        this.highlightedNote = null;
+        this.highlightedShape = null;
+        this.highlightedSequence = {
+            positions: positions,
+            current: next ? positions.find(p => p.string === next.string && p.fret === next.fret) : null
+        };
         this.draw();
     }
 
     clearHighlight() {
         console.log('Fretboard clearHighlight called');
         this.highlightedNote = null;
+        this.highlightedShape = null;
+        this.highlightedSequence = null;
         this.draw();
     }
 
+    /**
+     * Every note of a set of pitch classes (0-11) inside the fret window
+     * [start, end], in ascending pitch from the lowest root to the highest one
+     * (or across the whole window when it holds fewer than two roots). Each
+     * pitch is played once, on the thickest string that has it in the window.
+     * Returns [{ string, fret, midi }].
+     */
+    findScalePattern(pitchClasses, rootPitchClass, start, end) {
+        const first = Math.max(0, start);
+        const last = Math.min(this.numFrets, end);
+        const pattern = [];
+        for (let s = this.strings.length - 1; s >= 0; s--) {
+            for (let fret = first; fret <= last; fret++) {
+                const midi = this.getMidiAt(s, fret);
+                const highest = pattern.length > 0 ? pattern[pattern.length - 1].midi : -1;
+                if (midi > highest && pitchClasses.includes(midi % 12)) {
+                    pattern.push({ string: s, fret: fret, midi: midi });
+                }
+            }
+        }
+
+        const roots = pattern.filter(p => p.midi % 12 === rootPitchClass);
+        if (roots.length < 2) return pattern;
+        return pattern.slice(pattern.indexOf(roots[0]), pattern.indexOf(roots[roots.length - 1]) + 1);
+    }
+
+    /**
+     * Positions to play a melody (MIDI numbers) at, one per note, on frets 0 to
+     * lastFret. The fretting hand covers maxSpan frets at a time; the cheapest
+     * path through every note's positions is taken, where moving the hand costs
+     * most, crossing strings a little, and higher frets slightly more than low
+     * ones. Open strings leave the hand where it is.
+     * Returns [{ string, fret }], or null if a note is out of reach.
+     */
+    findFingering(midiNumbers, lastFret = this.numFrets, maxSpan = 4) {
+        const options = midiNumbers.map(midi => {
+            const positions = [];
+            for (let s = 0; s < this.strings.length; s++) {
+                const fret = midi - this.getMidiAt(s, 0);
+                if (fret >= 0 && fret <= lastFret) {
+                    positions.push({ string: s, fret: fret });
+                }
+            }
+            return positions;
+        });
+        if (options.some(positions => positions.length === 0)) return null;
+
+        // Path states: a position of the current note, the lowest fret the hand
+        // covers (null until the first fretted note) and the state before it
+        let states = [{ position: null, hand: null, cost: 0, from: null }];
+        options.forEach(positions => {
+            const next = new Map();
+            states.forEach(state => {
+                positions.forEach(position => {
+                    const hands = position.fret === 0 ? [state.hand] : [];
+                    for (let hand = Math.max(1, position.fret - maxSpan + 1); hand <= position.fret; hand++) {
+                        hands.push(hand);
+                    }
+
+                    hands.forEach(hand => {
+                        let cost = state.cost + position.fret * 0.05;
+                        if (state.position) {
+                            cost += Math.abs(state.position.string - position.string) * 0.3;
+                        }
+                        if (state.hand !== null && hand !== state.hand) {
+                            cost += 1 + Math.abs(hand - state.hand) * 0.25;
+                        }
+
+                        const key = `${position.string},${hand}`;
+                        if (!next.has(key) || cost < next.get(key).cost) {
+                            next.set(key, { position, hand, cost, from: state });
+                        }
+                    });
+                });
+            });
+            states = [...next.values()];
+        });
+
+        let state = states.reduce((best, s) => s.cost < best.cost ? s : best);
+        const fingering = [];
+        for (; state.position; state = state.from) {
+            fingering.unshift(state.position);
+        }
+        return fingering;
+    }
+
+    // Lowest and highest MIDI numbers on frets 0 to lastFret
+    getMidiRange(lastFret = this.numFrets) {
+        const open = this.strings.map((s, i) => this.getMidiAt(i, 0));
+        return { lowest: Math.min(...open), highest: Math.max(...open) + lastFret };
+    }
+
+    /**
+     * Find a playable voicing for a set of pitch classes (0-11): adjacent strings,
+     * one note each, the root in the bass and every pitch class present, with the
+     * fretted notes inside a span of maxSpan frets (one finger per fret; open
+     * strings are allowed). Lower positions are preferred. Returns [{ string, fret }] or null.
+     */
+    findChordVoicing(pitchClasses, rootPitchClass, maxSpan = 4) {
+        const size = pitchClasses.length;
+        if (size > this.strings.length) return null;
+
+        const lastStart = Math.max(1, this.numFrets - maxSpan + 1);
+        for (let start = 1; start <= lastStart; start++) {
+            const end = Math.min(this.numFrets, start + maxSpan - 1);
+
+            // Bass string from the thickest (highest index) towards the thinnest
+            for (let bass = this.strings.length - 1; bass >= size - 1; bass--) {
+                const voicing = this.findVoicingFrom(bass, size, pitchClasses, rootPitchClass, start, end);
+                if (voicing) return voicing;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Positions of the note semitones above (string, fret): further up the same
+     * string, or on a thinner string within maxSpan frets of the root (open
+     * strings are allowed). Returns [{ string, fret }], same string first.
+     */
+    findIntervalShapes(string, fret, semitones, maxSpan = 4) {
+        const midi = this.getMidiAt(string, fret) + semitones;
+        const shapes = [];
+        for (let s = string; s >= 0; s--) {
+            const f = midi - this.getMidiAt(s, 0);
+            if (f < 0 || f > this.numFrets) continue;
+            if (s === string || f === 0 || Math.abs(f - fret) < maxSpan) {
+                shapes.push({ string: s, fret: f });
+            }
+        }
+        return shapes;
+    }
+
+    // Depth-first fret choice for strings bass, bass-1, ... (see findChordVoicing)
+    findVoicingFrom(bass, size, pitchClasses, rootPitchClass, start, end) {
+        const frets = [0];
+        for (let f = start; f <= end; f++) frets.push(f);
+
+        const search = (depth, chosen, used) => {
+            if (depth === size) {
+                return used.size === pitchClasses.length ? chosen : null;
+            }
+
+            const string = bass - depth;
+            for (const fret of frets) {
+                const pc = this.getMidiAt(string, fret) % 12;
+                if (depth === 0 ? pc !== rootPitchClass : !pitchClasses.includes(pc)) continue;
+                if (used.has(pc)) continue;
+
+                const result = search(depth + 1, [...chosen, { string, fret }], new Set([...used, pc]));
+                if (result) return result;
+            }
+            return null;
+        };
+
+        return search(0, [], new Set());
+    }
+
     draw() {
         const ctx = this.ctx;
         const width = this.canvas.width;
@@ -81,13 +397,25 @@ class Fretboard {
         ctx.fillRect(margin, margin - 20, fretboardWidth, fretboardHeight + 40);
 
         // Calculate fret positions (they get closer together as you go up)
+        // Scaled so the last shown fret reaches the end of the neck, whether 12 or 24 frets
         const fretPositions = [margin];
-        const scaleLength = fretboardWidth - 60;
+        const neckLength = fretboardWidth - 20;
+        const lastFretRatio = 1 - Math.pow(2, -this.numFrets / 12);
         for (let i = 1; i <= this.numFrets; i++) {
-            const distance = scaleLength * (1 - Math.pow(2, -i / 12));
+            const distance = neckLength * (1 - Math.pow(2, -i / 12)) / lastFretRatio;
             fretPositions.push(margin + distance);
         }
 
+        // Shade the position window
+        if (this.positionWindow) {
+            const start = Math.max(0, this.positionWindow.start);
+            const end = Math.min(this.numFrets, this.positionWindow.end);
+            const x1 = start === 0 ? fretPositions[0] - 45 : fretPositions[start - 1];
+            const x2 = fretPositions[end];
+            ctx.fillStyle = 'rgba(212, 220, 251, 0.08)';
+            ctx.fillRect(x1, margin - 20, x2 - x1, fretboardHeight + 40);
+        }
+
         // Draw frets
         ctx.strokeStyle = '#2a2d42';
         ctx.lineWidth = 2;
@@ -101,15 +429,17 @@ class Fretboard {
 
         // Draw fret markers (dots)
         ctx.fillStyle = '#2a2d42';
-        const markerFrets = [3, 5, 7, 9];
-        const doubleMarkerFrets = [12];
+        const markerFrets = [3, 5, 7, 9, 15, 17, 19, 21];
+        const doubleMarkerFrets = [12, 24];
 
         for (const fret of markerFrets) {
-            const x = (fretPositions[fret - 1] + fretPositions[fret]) / 2;
-            const y = margin + fretboardHeight / 2;
-            ctx.beginPath();
-            ctx.arc(x, y, 6, 0, Math.PI * 2);
-            ctx.fill();
+            if (fret <= this.numFrets) {
+                const x = (fretPositions[fret - 1] + fretPositions[fret]) / 2;
+                const y = margin + fretboardHeight / 2;
+                ctx.beginPath();
+                ctx.arc(x, y, 6, 0, Math.PI * 2);
+                ctx.fill();
+            }
         }
 
         for (const fret of doubleMarkerFrets) {
@@ -124,10 +454,15 @@ class Fretboard {
             }
         }
 
+        // Draw mastery heatmap cells under the strings
+        if (this.heatmap) {
+            this.drawHeatmap(fretPositions, stringSpacing, margin);
+        }
+
         // Draw strings
         for (let i = 0; i < this.strings.length; i++) {
             const y = margin + i * stringSpacing;
-            const thickness = 1 + (this.strings.length - i) * 0.5;
+            const thickness = this.getStringThickness(i);
 
             ctx.strokeStyle = '#7e8fc7';
             ctx.lineWidth = thickness;
@@ -156,10 +491,93 @@ class Fretboard {
             ctx.fillText(i.toString(), x, height - 15);
         }
 
+        this.layout = { fretPositions, stringSpacing, margin };
+
         // Highlight note if specified
         if (this.highlightedNote) {
             this.drawHighlight(fretPositions, stringSpacing, margin);
         }
+        if (this.highlightedShape) {
+            this.drawShape(fretPositions, stringSpacing, margin);
+        }
+        if (this.highlightedSequence) {
+            this.drawSequence(fretPositions, stringSpacing, margin);
+        }
+    }
+
+    drawSequence(fretPositions, stringSpacing, margin) {
+        const ctx = this.ctx;
+        const { positions, current } = this.highlightedSequence;
+
+        for (const position of positions) {
+            const { string, fret, number } = position;
+            const x = fret === 0 ?
+                fretPositions[0] - 25 :
+                (fretPositions[fret - 1] + fretPositions[fret]) / 2;
+            const y = margin + string * stringSpacing;
+            const isCurrent = position === current;
+
+            ctx.shadowBlur = isCurrent ? 20 : 0;
+            ctx.shadowColor = '#d4dcfb';
+            ctx.fillStyle = isCurrent ? '#d4dcfb' : 'rgba(212, 220, 251, 0.45)';
+            ctx.beginPath();
+            ctx.arc(x, y, isCurrent ? 15 : 12, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+
+            ctx.fillStyle = '#0a0b14';
+            ctx.font = isCurrent ? 'bold 14px Arial' : 'bold 11px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(number.toString(), x, y + 4);
+        }
+    }
+
+    drawShape(fretPositions, stringSpacing, margin) {
+        const ctx = this.ctx;
+
+        for (const { string, fret, note } of this.highlightedShape) {
+            const x = fret === 0 ?
+                fretPositions[0] - 25 :
+                (fretPositions[fret - 1] + fretPositions[fret]) / 2;
+            const y = margin + string * stringSpacing;
+
+            ctx.shadowBlur = 15;
+            ctx.shadowColor = '#d4dcfb';
+            ctx.fillStyle = '#d4dcfb';
+            ctx.beginPath();
+            ctx.arc(x, y, 13, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+
+            ctx.fillStyle = '#0a0b14';
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(note, x, y + 4);
+        }
+    }
+
+    drawHeatmap(fretPositions, stringSpacing, margin) {
+        const ctx = this.ctx;
+
+        for (let s = 0; s < this.strings.length; s++) {
+            for (let f = 0; f <= this.numFrets; f++) {
+                const x1 = f === 0 ? fretPositions[0] - 45 : fretPositions[f - 1];
+                const x2 = f === 0 ? fretPositions[0] - 5 : fretPositions[f];
+                const y = margin + s * stringSpacing - stringSpacing / 2;
+
+                const cell = this.heatmap[`${s}:${f}`];
+                if (cell) {
+                    ctx.fillStyle = this.getHeatColor(cell.score);
+                    ctx.fillRect(x1 + 1, y + 1, x2 - x1 - 2, stringSpacing - 2);
+                }
+
+                if (this.selectedCell && this.selectedCell.string === s && this.selectedCell.fret === f) {
+                    ctx.strokeStyle = '#d4dcfb';
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(x1 + 1, y + 1, x2 - x1 - 2, stringSpacing - 2);
+                }
+            }
+        }
     }
 
     drawHighlight(fretPositions, stringSpacing, margin) {
@@ -218,6 +636,11 @@ class Fretboard {
 
     // Get the lowest fret position for a note on a specific string
     getLowestFretForNote(note, stringIndex) {
+        return this.getFretForNoteInRange(note, stringIndex, 0, this.numFrets);
+    }
+
+    // Get the lowest fret for a note on a string within [minFret, maxFret]
+    getFretForNoteInRange(note, stringIndex, minFret, maxFret) {
         // Enharmonic equivalents (flats to sharps)
         const enharmonics = {
             'Db': 'C#', 'Eb': 'D#', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#'
@@ -226,7 +649,8 @@ class Fretboard {
         // Convert flat to sharp if needed (fretboard uses sharps)
         const searchNote = enharmonics[note] || note;
 
-        for (let fret = 0; fret <= this.numFrets; fret++) {
+        const lastFret = Math.min(maxFret, this.numFrets);
+        for (let fret = Math.max(0, minFret); fret <= lastFret; fret++) {
             const noteInfo = this.getNoteAt(stringIndex, fret);
             if (noteInfo.note === searchNote) {
                 return fret;
@@ -235,3 +659,8 @@ class Fretboard {
         return null;
     }
 }
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Fretboard;
+}
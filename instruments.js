@@ -0,0 +1,104 @@
+// Instrument profiles: string count, default tuning, fret count, detection range
+// and staff notation (clef, and octaves written above the sound)
+
+const INSTRUMENT_PROFILES = {
+    guitar6: {
+        name: '6-string guitar',
+        strings: 6,
+        frets: 22,
+        tuning: 'standard',
+        minFrequency: 50,    // Below E2 (~82Hz) so drop tunings still detect
+        maxFrequency: 2000,  // B6 (~1976Hz)
+        clef: 'treble',
+        writtenOctave: 1     // Treble clef with an 8 under it: sounds an octave lower
+    },
+    guitar7: {
+        name: '7-string guitar',
+        strings: 7,
+        frets: 24,
+        tuning: 'guitar7Standard',
+        minFrequency: 40,    // Below B1 (~62Hz)
+        maxFrequency: 2000,
+        clef: 'treble',
+        writtenOctave: 1
+    },
+    guitar8: {
+        name: '8-string guitar',
+        strings: 8,
+        frets: 24,
+        tuning: 'guitar8Standard',
+        minFrequency: 35,    // Below F#1 (~46Hz)
+        maxFrequency: 2000,
+        clef: 'treble',
+        writtenOctave: 1
+    },
+    bass4: {
+        name: '4-string bass',
+        strings: 4,
+        frets: 20,
+        tuning: 'bass4Standard',
+        minFrequency: 30,    // Below E1 (~41Hz)
+        maxFrequency: 1000,
+        clef: 'bass',
+        writtenOctave: 1     // Sounds an octave lower too; bass parts leave out the 8
+    },
+    bass5: {
+        name: '5-string bass',
+        strings: 5,
+        frets: 24,
+        tuning: 'bass5Standard',
+        minFrequency: 25,    // Below B0 (~31Hz)
+        maxFrequency: 1000,
+        clef: 'bass',
+        writtenOctave: 1
+    },
+    ukulele: {
+        name: 'Ukulele',
+        strings: 4,
+        frets: 15,
+        tuning: 'ukuleleStandard',
+        minFrequency: 150,   // Below low-G G3 (~196Hz)
+        maxFrequency: 2000,
+        clef: 'treble',
+        writtenOctave: 0     // Written at pitch
+    }
+};
+
+class Instrument {
+    constructor(id, profile) {
+        this.id = id;
+        this.name = profile.name;
+        this.stringCount = profile.strings;
+        this.frets = profile.frets;
+        this.defaultTuning = profile.tuning;
+        this.minFrequency = profile.minFrequency;
+        this.maxFrequency = profile.maxFrequency;
+        this.clef = profile.clef;
+        this.writtenOctave = profile.writtenOctave;
+    }
+
+    // List profiles for settings menus
+    static getProfiles() {
+        return Object.keys(INSTRUMENT_PROFILES).map(id => ({ id, name: INSTRUMENT_PROFILES[id].name }));
+    }
+
+    static fromId(id) {
+        return INSTRUMENT_PROFILES[id] ?
+            new Instrument(id, INSTRUMENT_PROFILES[id]) :
+            new Instrument('guitar6', INSTRUMENT_PROFILES.guitar6);
+    }
+
+    getDefaultTuning() {
+        return Tuning.fromPreset(this.defaultTuning);
+    }
+
+    // A tuning only fits if it has one note per string
+    fitsTuning(tuning) {
+        return tuning.strings.length === this.stringCount;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Instrument;
+}
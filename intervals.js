@@ -0,0 +1,62 @@
+// Melodic intervals for the interval exercise: root, then the note above it
+const INTERVAL_TYPES = {
+    minorSecond: { name: 'minor 2nd', symbol: 'm2', semitones: 1 },
+    majorSecond: { name: 'major 2nd', symbol: 'M2', semitones: 2 },
+    minorThird: { name: 'minor 3rd', symbol: 'm3', semitones: 3 },
+    majorThird: { name: 'major 3rd', symbol: 'M3', semitones: 4 },
+    perfectFourth: { name: 'perfect 4th', symbol: 'P4', semitones: 5 },
+    tritone: { name: 'tritone', symbol: 'TT', semitones: 6 },
+    perfectFifth: { name: 'perfect 5th', symbol: 'P5', semitones: 7 },
+    minorSixth: { name: 'minor 6th', symbol: 'm6', semitones: 8 },
+    majorSixth: { name: 'major 6th', symbol: 'M6', semitones: 9 },
+    minorSeventh: { name: 'minor 7th', symbol: 'm7', semitones: 10 },
+    majorSeventh: { name: 'major 7th', symbol: 'M7', semitones: 11 },
+    octave: { name: 'octave', symbol: 'P8', semitones: 12 }
+};
+
+// An interval above a root, spelled with sharps or flats to match the root
+class Interval {
+    constructor(root, typeId) {
+        this.root = root;
+        this.typeId = typeId;
+        this.type = INTERVAL_TYPES[typeId];
+    }
+
+    static getTypes() {
+        return Object.keys(INTERVAL_TYPES);
+    }
+
+    // Type with this many semitones (1-12), or null
+    static fromSemitones(semitones) {
+        return Object.values(INTERVAL_TYPES).find(type => type.semitones === semitones) || null;
+    }
+
+    // Name of the upper note ("E" for a major 3rd above C)
+    getTargetNote() {
+        const names = this.root.includes('b') ? Chord.FLAT_NAMES : Chord.SHARP_NAMES;
+        return names[(Chord.pitchClassOf(this.root) + this.type.semitones) % 12];
+    }
+
+    // "Major 3rd above C"
+    getName() {
+        const name = this.type.name.charAt(0).toUpperCase() + this.type.name.slice(1);
+        return `${name} above ${this.root}`;
+    }
+
+    /**
+     * Whether a played note completes the interval from a played root. With
+     * exact pitches (MIDI numbers) for both, the note must be the interval above
+     * the root as played; otherwise (testing mode) its pitch class must match.
+     */
+    isCompletedBy(rootMidi, playedNote, playedMidi = null) {
+        if (rootMidi !== null && playedMidi !== null) {
+            return playedMidi - rootMidi === this.type.semitones;
+        }
+        return Chord.pitchClassOf(playedNote) === Chord.pitchClassOf(this.getTargetNote());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Interval, INTERVAL_TYPES };
+}
@@ -0,0 +1,67 @@
+/**
+ * Intonation check for one sustained note.
+ *
+ * Fed with the cents readings of the detector's SUSTAIN state, it passes once
+ * the note has stayed within ±tolerance cents for holdMs without interruption.
+ */
+class IntonationTracker {
+    constructor(tolerance = 15, holdMs = 300) {
+        this.tolerance = tolerance; // Cents either side of the exact pitch
+        this.holdMs = holdMs;       // Time the note must stay in the window
+
+        this.MAX_READINGS = 200;
+
+        this.reset();
+    }
+
+    reset() {
+        this.readings = [];
+        this.inWindowSince = null;
+    }
+
+    hasReadings() {
+        return this.readings.length > 0;
+    }
+
+    /**
+     * Add one cents reading; returns
+     * { cents, direction ('sharp'|'flat'|'in-tune'), inWindow, heldMs, passed }
+     */
+    addReading(cents, now = Date.now()) {
+        this.readings.push(cents);
+        if (this.readings.length > this.MAX_READINGS) {
+            this.readings.shift();
+        }
+
+        const inWindow = Math.abs(cents) <= this.tolerance;
+        if (!inWindow) {
+            this.inWindowSince = null;
+        } else if (this.inWindowSince === null) {
+            this.inWindowSince = now;
+        }
+
+        const heldMs = inWindow ? now - this.inWindowSince : 0;
+        let direction = 'in-tune';
+        if (cents > this.tolerance) direction = 'sharp';
+        if (cents < -this.tolerance) direction = 'flat';
+
+        return {
+            cents: cents,
+            direction: direction,
+            inWindow: inWindow,
+            heldMs: heldMs,
+            passed: inWindow && heldMs >= this.holdMs
+        };
+    }
+
+    // Mean offset of the readings so far (null without readings)
+    getAverageCents() {
+        if (this.readings.length === 0) return null;
+        return this.readings.reduce((a, b) => a + b, 0) / this.readings.length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IntonationTracker;
+}
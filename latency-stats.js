@@ -0,0 +1,138 @@
+/**
+ * Response-time statistics per (string, note).
+ *
+ * A latency is the time from a target being shown to the correct note being
+ * detected. Records are grouped into practice sessions so trends can be shown.
+ */
+class LatencyStats {
+    constructor() {
+        this.records = {};   // "string:note" -> [{ latency, session, time }]
+        this.sessions = [];  // [{ id, startedAt }]
+        this.currentSession = null;
+
+        this.MAX_RECORDS_PER_NOTE = 100; // Keep the most recent latencies only
+        this.MAX_SESSIONS = 50;
+    }
+
+    getKey(string, note) {
+        return `${string}:${note}`;
+    }
+
+    // Start a new practice session; latencies recorded afterwards belong to it
+    startSession(now = Date.now()) {
+        this.currentSession = now;
+        this.sessions.push({ id: now, startedAt: now });
+        if (this.sessions.length > this.MAX_SESSIONS) {
+            this.sessions.shift();
+        }
+    }
+
+    record(string, note, latency, now = Date.now()) {
+        if (latency === null || latency === undefined || latency < 0) return;
+
+        if (this.currentSession === null) {
+            this.startSession(now);
+        }
+
+        const key = this.getKey(string, note);
+        if (!this.records[key]) {
+            this.records[key] = [];
+        }
+
+        this.records[key].push({ latency: latency, session: this.currentSession, time: now });
+        if (this.records[key].length > this.MAX_RECORDS_PER_NOTE) {
+            this.records[key].shift();
+        }
+    }
+
+    // Percentile (0-100) with linear interpolation between ranks
+    static percentile(values, p) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const rank = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
+    static summarize(values) {
+        return {
+            count: values.length,
+            median: LatencyStats.percentile(values, 50),
+            p75: LatencyStats.percentile(values, 75),
+            p90: LatencyStats.percentile(values, 90)
+        };
+    }
+
+    getNoteSummary(string, note) {
+        const records = this.records[this.getKey(string, note)] || [];
+        return LatencyStats.summarize(records.map(r => r.latency));
+    }
+
+    getOverallSummary() {
+        const values = [];
+        for (const key in this.records) {
+            for (const r of this.records[key]) {
+                values.push(r.latency);
+            }
+        }
+        return LatencyStats.summarize(values);
+    }
+
+    // Notes with the highest median latency (needs minSamples recordings to be ranked)
+    getSlowestNotes(limit = 5, minSamples = 2) {
+        const notes = [];
+        for (const key in this.records) {
+            const records = this.records[key];
+            if (records.length < minSamples) continue;
+
+            const [string, note] = key.split(':');
+            const summary = LatencyStats.summarize(records.map(r => r.latency));
+            notes.push({ string: parseInt(string), note: note, ...summary });
+        }
+
+        return notes.sort((a, b) => b.median - a.median).slice(0, limit);
+    }
+
+    // Median and 90th percentile latency per session, oldest first
+    getSessionTrend(limit = 10) {
+        const bySession = {};
+        for (const key in this.records) {
+            for (const r of this.records[key]) {
+                if (!bySession[r.session]) bySession[r.session] = [];
+                bySession[r.session].push(r.latency);
+            }
+        }
+
+        return this.sessions
+            .filter(session => bySession[session.id])
+            .slice(-limit)
+            .map(session => ({
+                session: session.id,
+                startedAt: session.startedAt,
+                ...LatencyStats.summarize(bySession[session.id])
+            }));
+    }
+
+    toJSON() {
+        return { records: this.records, sessions: this.sessions };
+    }
+
+    load(data) {
+        this.records = data && data.records ? data.records : {};
+        this.sessions = data && data.sessions ? data.sessions : [];
+        this.currentSession = null;
+    }
+
+    clear() {
+        this.records = {};
+        this.sessions = [];
+        this.currentSession = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LatencyStats;
+}
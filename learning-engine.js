@@ -1,6 +1,12 @@
 // Learning engine for managing progression and flashcards
 class LearningEngine {
-    constructor() {
+    constructor(fretboard = null, storage = null) {
+        // Fretboard supplies the tuning for position checks and target frets
+        this.fretboard = fretboard;
+
+        // Persistence scoped to the active profile (see profiles.js)
+        this.storage = storage || new ProfileManager();
+
         // Learning configuration
         this.modes = {
             naturals: ['C', 'D', 'E', 'F', 'G', 'A', 'B'],
@@ -18,21 +24,35 @@ class LearningEngine {
             'A#': 'Bb', 'Bb': 'A#'
         };
 
-        // String configuration (0-5, where 0 is high E)
-        // Listed from low to high for learning progression
-        this.strings = [
-            { index: 5, name: 'Low E (6th)' },
-            { index: 4, name: 'A (5th)' },
-            { index: 3, name: 'D (4th)' },
-            { index: 2, name: 'G (3rd)' },
-            { index: 1, name: 'B (2nd)' },
-            { index: 0, name: 'High E (1st)' }
-        ];
+        // Spaced-repetition schedule for the 'srs' scheduling mode
+        this.scheduler = new SrsScheduler();
+
+        // Response times per (string, note)
+        this.latencyStats = new LatencyStats();
+
+        // Accuracy and latency per (string, fret) for the heatmap
+        this.positionStats = new PositionStats();
+
+        // Every graded attempt, grouped into sessions
+        this.sessionLog = new SessionLog();
+
+        // Callbacks
+        this.onNoteChange = null;
+        this.onProgressUpdate = null;
+        this.onModeComplete = null;
+        this.onStringComplete = null;
 
         this.reset();
     }
 
+    // Restore defaults, then load the active profile's saved state over them
     reset() {
+        // String configuration (0 is the highest string)
+        // Listed from low to high for learning progression, labels follow the tuning
+        this.instrumentId = 'guitar6';
+        this.tuning = Tuning.fromPreset('standard');
+        this.strings = this.tuning.getLearningOrder();
+
         // Current state
         this.currentMode = 'naturals';
         this.currentStringIndex = 0;
@@ -43,28 +63,82 @@ class LearningEngine {
         this.randomNotes = [];
         this.randomNoteIndex = 0;
         this.randomRepeat = 0;
+        this.srsCard = null; // { string, note } currently asked in 'srs' scheduling mode
+        this.chordQueue = []; // [{ root, type }] shuffled targets of a chord exercise
+        this.chordIndex = 0;
+        this.intervalQueue = []; // [{ root, type, string, crossString }] shuffled targets of the interval exercise
+        this.intervalIndex = 0;
+        this.intervalRoot = null; // { note, midi } once the root of the current interval is played
+        this.sequence = null; // NoteSequence of the current scale run or tab (rebuilt, not saved)
+
+        // Timing of the current target (for response latency)
+        this.targetShownAt = null;
+        this.targetMistakes = 0;
 
         // Settings (configurable)
         this.noteRepetitions = 1; // Number of times to repeat each individual note
         this.repeatCount = 2; // Number of rounds through all notes
         this.randomRounds = 1;
+        this.strictPosition = false; // Also require the right string and octave
+        this.notationEnabled = false; // Show single-note targets on a staff (octave-exact)
+        this.fretCount = 12; // Frets shown and practised (up to 24)
+        this.positionWindow = null; // { start, end } fret window for position practice
+        this.schedulingMode = 'curriculum'; // 'curriculum' (rounds) or 'srs' (spaced repetition)
+        this.exerciseType = 'notes'; // 'notes', 'melodicIntervals' (intervals.js), 'scales' (scales.js), 'tab' (tab-parser.js, melody-parser.js), or chords: 'intervals', 'triads', 'sevenths' (chords.js)
+        this.scaleType = 'major'; // Scale runner settings (see scales.js)
+        this.scaleKey = 'C';
+        this.scalePosition = 'E'; // A CAGED shape, or 'window' for the position window
+        this.tab = null; // { title, targets: [{ string, fret }] } from TabParser; melodies also keep their notes
+        this.a4Frequency = 440; // Concert pitch reference for detection and the tuner
+        this.pitchAlgorithm = 'yin'; // Pitch estimator (see pitch-algorithms.js)
+        this.intonationEnabled = false; // Also require the note to be held in tune
+        this.intonationTolerance = 15;  // ± cents
+        this.intonationHoldMs = 300;    // Time the note must stay within the tolerance
 
         // Progress tracking
         this.totalAttempts = 0;
         this.correctAttempts = 0;
         this.notesCompleted = 0;
 
-        // Callbacks
-        this.onNoteChange = null;
-        this.onProgressUpdate = null;
-        this.onModeComplete = null;
-        this.onStringComplete = null;
+        // Result of the last checkNote call ({ correct, reason, message })
+        this.lastResult = null;
+
+        this.scheduler.clear();
+        this.latencyStats.clear();
+        this.positionStats.clear();
+        this.sessionLog.clear();
 
         this.loadState();
     }
 
+    // Switch to another profile's storage and load its progress and settings
+    setStorage(storage) {
+        this.storage = storage;
+        this.reset();
+    }
+
     // Get current target note
     getCurrentTarget() {
+        if (this.isChordExercise()) {
+            return this.getChordTarget();
+        }
+
+        if (this.isIntervalExercise()) {
+            return this.getIntervalTarget();
+        }
+
+        if (this.isScaleExercise()) {
+            return this.getScaleTarget();
+        }
+
+        if (this.isTabExercise()) {
+            return this.getTabTarget();
+        }
+
+        if (this.schedulingMode === 'srs') {
+            return this.getSrsTarget();
+        }
+
         if (this.isRandomRound) {
             if (this.randomNotes.length === 0) {
                 this.generateRandomRound();
@@ -75,19 +149,23 @@ class LearningEngine {
                 note: note,
                 string: string.index,
                 stringName: string.name,
+                fret: this.getTargetFret(note, string.index),
+                written: this.getWrittenPitch(note, string.index),
                 mode: this.currentMode,
                 round: `Random ${this.randomRepeat + 1}/${this.randomRounds}`,
                 noteRepetition: this.noteRepetitions > 1 ? `${this.currentNoteRepetition + 1}/${this.noteRepetitions}` : null,
                 progress: this.getProgress()
             };
         } else {
-            const notes = this.modes[this.currentMode];
+            const notes = this.getActiveNotes();
             const note = notes[this.currentNoteIndex];
             const string = this.strings[this.currentStringIndex];
             return {
                 note: note,
                 string: string.index,
                 stringName: string.name,
+                fret: this.getTargetFret(note, string.index),
+                written: this.getWrittenPitch(note, string.index),
                 mode: this.currentMode,
                 round: `Round ${this.currentRound + 1}/${this.repeatCount}`,
                 noteRepetition: this.noteRepetitions > 1 ? `${this.currentNoteRepetition + 1}/${this.noteRepetitions}` : null,
@@ -96,8 +174,356 @@ class LearningEngine {
         }
     }
 
+    // Current target in spaced-repetition mode: the card picked by the scheduler
+    getSrsTarget() {
+        let string = this.srsCard && this.strings.find(s => s.index === this.srsCard.string);
+        if (!string) {
+            this.pickNextSrsCard();
+            string = this.strings.find(s => s.index === this.srsCard.string);
+        }
+
+        const note = this.srsCard.note;
+        const dueCount = this.scheduler.getDueCount(this.getSrsCandidates());
+        return {
+            note: note,
+            string: string.index,
+            stringName: string.name,
+            fret: this.getTargetFret(note, string.index),
+            written: this.getWrittenPitch(note, string.index),
+            mode: this.currentMode,
+            round: `Review (${dueCount} due)`,
+            noteRepetition: null,
+            progress: this.getProgress()
+        };
+    }
+
+    /**
+     * Staff pitch of a single-note target when notation is on: the note at the
+     * target fret, written as the instrument's music is (an octave above its
+     * sound for guitar and bass, at pitch for ukulele). Returns
+     * { note, octave, midi } with the sounding MIDI number, or null.
+     */
+    getWrittenPitch(note, stringIndex) {
+        const fret = this.notationEnabled ? this.getTargetFret(note, stringIndex) : null;
+        if (fret === null) return null;
+
+        const midi = this.fretboard.getMidiAt(stringIndex, fret);
+        const octave = Math.floor(midi / 12) - 1 + this.fretboard.instrument.writtenOctave;
+        return { note: note, octave: octave, midi: midi };
+    }
+
+    // Chord exercises replace single-note targets and are graded by checkChord
+    isChordExercise() {
+        return Chord.getTypes(this.exerciseType).length > 0;
+    }
+
+    // Two notes in sequence, root then interval, graded by checkNote one at a time
+    isIntervalExercise() {
+        return this.exerciseType === 'melodicIntervals';
+    }
+
+    // A whole scale or arpeggio pattern, graded by checkNote one step at a time
+    isScaleExercise() {
+        return this.exerciseType === 'scales';
+    }
+
+    // The imported tab, played through note by note like a scale run
+    isTabExercise() {
+        return this.exerciseType === 'tab' && this.tab !== null;
+    }
+
+    // Current chord or interval: roots from the current mode, every type of the exercise
+    getChordTarget() {
+        if (this.chordIndex >= this.chordQueue.length) {
+            this.generateChordQueue();
+        }
+
+        const { root, type } = this.chordQueue[this.chordIndex];
+        const chord = new Chord(root, type);
+        const pitchClasses = chord.getPitchClasses();
+        const voicing = this.fretboard ?
+            this.fretboard.findChordVoicing(pitchClasses, pitchClasses[0]) :
+            null;
+
+        return {
+            note: chord.getSymbol(),
+            chord: chord,
+            string: null,
+            stringName: chord.getNoteNames().join(' '),
+            fret: null,
+            voicing: voicing,
+            mode: this.currentMode,
+            round: chord.getName(),
+            noteRepetition: null,
+            progress: this.getProgress()
+        };
+    }
+
+    generateChordQueue() {
+        const queue = [];
+        for (const root of this.modes[this.currentMode]) {
+            for (const type of Chord.getTypes(this.exerciseType)) {
+                queue.push({ root, type });
+            }
+        }
+        this.chordQueue = queue.sort(() => Math.random() - 0.5);
+        this.chordIndex = 0;
+    }
+
+    /**
+     * Current interval: a root of the current mode on a string, and the note the
+     * interval above it on the same string or a thinner one (see
+     * Fretboard.findIntervalShapes). voicing shows both; expected is the note
+     * to play next.
+     */
+    getIntervalTarget() {
+        if (this.intervalIndex >= this.intervalQueue.length) {
+            this.generateIntervalQueue();
+        }
+
+        const item = this.intervalQueue[this.intervalIndex];
+        const interval = new Interval(item.root, item.type);
+        const string = this.strings.find(s => s.index === item.string) || this.strings[0];
+
+        const root = { note: item.root, string: string.index, stringName: string.name, fret: null, midi: null };
+        const upper = { note: interval.getTargetNote(), string: null, stringName: null, fret: null, midi: null };
+        if (this.fretboard) {
+            root.fret = this.getTargetFret(item.root, string.index);
+            if (root.fret !== null) {
+                root.midi = this.fretboard.getMidiAt(root.string, root.fret);
+                const shapes = this.fretboard.findIntervalShapes(root.string, root.fret, interval.type.semitones);
+                const shape = shapes.find(p => (p.string !== root.string) === item.crossString) || shapes[0];
+                if (shape) {
+                    Object.assign(upper, shape, {
+                        stringName: this.strings.find(s => s.index === shape.string).name,
+                        midi: root.midi + interval.type.semitones
+                    });
+                }
+            }
+        }
+
+        return {
+            note: interval.getName(),
+            interval: interval,
+            root: root,
+            upper: upper,
+            expected: this.intervalRoot ? upper : root,
+            string: string.index,
+            stringName: string.name,
+            fret: root.fret,
+            voicing: upper.fret !== null ? [root, upper] : null,
+            mode: this.currentMode,
+            round: upper.fret === null ? interval.type.symbol :
+                (upper.string === root.string ? 'Same string' : 'Across strings'),
+            noteRepetition: null,
+            progress: this.getProgress()
+        };
+    }
+
+    // Every root of the current mode with every interval, on a random string
+    // where the interval fits on the shown neck, and a random shape
+    generateIntervalQueue() {
+        const queue = [];
+        for (const root of this.modes[this.currentMode]) {
+            for (const type of Interval.getTypes()) {
+                const semitones = INTERVAL_TYPES[type].semitones;
+                const fitting = this.strings.filter(string => {
+                    const fret = this.getTargetFret(root, string.index);
+                    return fret !== null &&
+                           this.fretboard.findIntervalShapes(string.index, fret, semitones).length > 0;
+                });
+                const choices = fitting.length > 0 ? fitting : this.strings;
+                const string = choices[Math.floor(Math.random() * choices.length)];
+                queue.push({ root, type, string: string.index, crossString: Math.random() < 0.5 });
+            }
+        }
+        this.intervalQueue = queue.sort(() => Math.random() - 0.5);
+        this.intervalIndex = 0;
+        this.intervalRoot = null;
+    }
+
+    /**
+     * Current step of the scale run: the pattern of the chosen scale, key and
+     * position, up from the lowest root and back down. sequence holds every
+     * step for the fretboard preview; expected is the note to play next.
+     */
+    getScaleTarget() {
+        if (!this.sequence) {
+            this.sequence = this.buildScaleSequence();
+        }
+
+        const scale = new Scale(this.scaleKey, this.scaleType);
+        const step = this.sequence.getCurrentStep();
+        const string = this.strings.find(s => s.index === step.string);
+        const window = this.getScaleWindow();
+        const caged = CAGED_POSITIONS[this.scalePosition];
+
+        return {
+            note: scale.getName(),
+            scale: scale,
+            title: scale.getName(),
+            sequence: this.sequence,
+            expected: step,
+            position: `${caged && !window.fallback ? caged.name : 'Position'}, frets ${window.start}-${window.end}`,
+            string: step.string,
+            stringName: string ? string.name : null,
+            fret: step.fret,
+            mode: this.currentMode,
+            round: `Step ${this.sequence.index + 1} of ${this.sequence.steps.length}`,
+            noteRepetition: null,
+            progress: this.getProgress()
+        };
+    }
+
+    /**
+     * Fret window of the scale position: around the lowest root on the shape's
+     * string for a CAGED shape, otherwise the position window (or frets 0-4).
+     * fallback is set when a CAGED shape doesn't fit the instrument.
+     */
+    getScaleWindow() {
+        const caged = CAGED_POSITIONS[this.scalePosition];
+        const window = this.positionWindow || { start: 0, end: 4 };
+        if (!caged) {
+            return window;
+        }
+
+        const string = caged.rootString - 1;
+        const fret = this.fretboard && string < this.fretboard.strings.length ?
+            this.fretboard.getLowestFretForNote(this.scaleKey, string) : null;
+        if (fret === null) {
+            return { ...window, fallback: true };
+        }
+        return { start: Math.max(0, fret - caged.below), end: fret + caged.above };
+    }
+
+    // Steps up the pattern and back down, or the bare notes root to root without a fretboard
+    buildScaleSequence() {
+        const scale = new Scale(this.scaleKey, this.scaleType);
+        const pitchClasses = scale.getPitchClasses();
+        const window = this.getScaleWindow();
+        const pattern = this.fretboard ?
+            this.fretboard.findScalePattern(pitchClasses, pitchClasses[0], window.start, window.end) : [];
+
+        let steps = pattern.map(p => ({
+            note: scale.spell(p.midi % 12),
+            octave: Math.floor(p.midi / 12) - 1,
+            midi: p.midi,
+            string: p.string,
+            fret: p.fret
+        }));
+        if (steps.length === 0) {
+            steps = pitchClasses.concat(pitchClasses[0]).map(pc => (
+                { note: scale.spell(pc), octave: null, midi: null, string: null, fret: null }));
+        }
+        return new NoteSequence(steps.concat(steps.slice(0, -1).reverse()));
+    }
+
+    // Current note of the imported tab, shown at its position on the fretboard
+    getTabTarget() {
+        if (!this.sequence) {
+            this.sequence = new NoteSequence(this.tab.targets.map(({ string, fret }) => {
+                const { note, octave } = this.fretboard.getNoteAt(string, fret);
+                return { note, octave, midi: this.fretboard.getMidiAt(string, fret), string, fret };
+            }));
+        }
+
+        const step = this.sequence.getCurrentStep();
+        const string = this.strings.find(s => s.index === step.string);
+        return {
+            note: step.note,
+            tab: this.tab,
+            title: this.tab.title,
+            sequence: this.sequence,
+            expected: step,
+            position: `on ${string.name}, fret ${step.fret}`,
+            string: step.string,
+            stringName: string.name,
+            fret: step.fret,
+            mode: this.currentMode,
+            round: `Note ${this.sequence.index + 1} of ${this.sequence.steps.length}`,
+            noteRepetition: null,
+            progress: this.getProgress()
+        };
+    }
+
+    // Every (string, note) card of the current mode, thickest string first
+    getSrsCandidates() {
+        const candidates = [];
+        for (let i = 0; i < this.strings.length; i++) {
+            for (const note of this.getActiveNotes(i)) {
+                candidates.push({ string: this.strings[i].index, note: note });
+            }
+        }
+        return candidates;
+    }
+
+    pickNextSrsCard(excludeKey = null) {
+        const card = this.scheduler.getNextCard(this.getSrsCandidates(), Date.now(), excludeKey);
+        this.srsCard = { string: card.string, note: card.note };
+    }
+
+    // Called when a target is displayed; starts the response-latency clock
+    markTargetShown(now = Date.now()) {
+        this.targetShownAt = now;
+        this.targetMistakes = 0;
+    }
+
+    getResponseLatency(now = Date.now()) {
+        return this.targetShownAt === null ? null : now - this.targetShownAt;
+    }
+
+    // Start a practice session (groups latency statistics and the attempt history)
+    startSession() {
+        this.latencyStats.startSession();
+        this.sessionLog.startSession();
+        this.saveState();
+    }
+
+    endSession() {
+        this.sessionLog.endSession();
+        this.saveState();
+    }
+
+    // Notes of the current mode, limited to those inside the position window on a string
+    // (stringPosition indexes the learning order; defaults to the current string)
+    getActiveNotes(stringPosition = this.currentStringIndex) {
+        const notes = this.modes[this.currentMode];
+        const string = this.strings[stringPosition];
+        if (!this.positionWindow || !this.fretboard || !string) {
+            return notes;
+        }
+
+        const { start, end } = this.positionWindow;
+        const inWindow = notes.filter(note =>
+            this.fretboard.getFretForNoteInRange(note, string.index, start, end) !== null);
+
+        // A narrow window may miss every note of the mode; fall back to the whole neck
+        return inWindow.length > 0 ? inWindow : notes;
+    }
+
+    // Fret at which the target note is expected
+    // (inside the position window if one is set, otherwise the lowest occurrence on the string)
+    getTargetFret(note, stringIndex) {
+        if (!this.fretboard) return null;
+
+        if (this.positionWindow) {
+            const { start, end } = this.positionWindow;
+            const fret = this.fretboard.getFretForNoteInRange(note, stringIndex, start, end);
+            if (fret !== null) return fret;
+        }
+        return this.fretboard.getLowestFretForNote(note, stringIndex);
+    }
+
     // Check if played note matches target
-    checkNote(playedNote) {
+    // detection is the detector's note info ({ name, octave, midiNumber }) when available
+    checkNote(playedNote, detection = null) {
+        if (this.isIntervalExercise()) {
+            return this.checkIntervalNote(playedNote, detection);
+        }
+        if (this.isScaleExercise() || this.isTabExercise()) {
+            return this.checkSequenceNote(playedNote, detection);
+        }
+
         const target = this.getCurrentTarget();
 
         // Normalize notes (handle enharmonics)
@@ -115,12 +541,60 @@ class LearningEngine {
 
         this.totalAttempts++;
 
-        const isCorrect = normalizedPlayed === normalizedTarget ||
-                         this.enharmonics[normalizedPlayed] === normalizedTarget;
+        let isCorrect = this.isTargetNote(playedNote, target);
+        this.lastResult = { correct: isCorrect, reason: isCorrect ? null : 'wrong-note', message: null };
+
+        // Strict position: the pitch class is right, now verify string and octave
+        if (isCorrect && this.strictPosition && detection && detection.midiNumber !== undefined) {
+            this.lastResult = this.checkPosition(target, detection);
+            isCorrect = this.lastResult.correct;
+        }
+
+        // Notation: the written pitch fixes the register, so the octave must match
+        if (isCorrect && target.written && detection && detection.octave !== undefined) {
+            this.lastResult = this.checkWrittenOctave(target.written, detection);
+            isCorrect = this.lastResult.correct;
+        }
+
+        // Intonation: the note must have been held within the cents window (see intonation.js)
+        if (isCorrect && this.intonationEnabled && detection && detection.intonation) {
+            this.lastResult = this.checkIntonation(detection.intonation);
+            isCorrect = this.lastResult.correct;
+        }
+
+        const latency = isCorrect ? this.getResponseLatency() : null;
+        const played = detection ? `${detection.name}${detection.octave}` : playedNote;
+        this.positionStats.record(target.string, target.fret, {
+            note: target.note,
+            played: played,
+            correct: isCorrect,
+            latency: latency
+        });
+        this.sessionLog.recordAttempt({
+            target: target.note,
+            string: target.string,
+            stringName: target.stringName,
+            fret: target.fret,
+            played: played,
+            cents: detection ? detection.cents : null,
+            confidence: detection ? detection.confidence : null,
+            correct: isCorrect,
+            latency: latency
+        });
 
         if (isCorrect) {
+            this.lastResult.latency = latency;
+            this.latencyStats.record(target.string, target.note, latency);
+
             this.correctAttempts++;
+            if (this.schedulingMode === 'srs') {
+                const quality = this.scheduler.gradeQuality(this.targetMistakes, latency);
+                this.scheduler.review(target.string, target.note, quality, latency);
+            }
             this.advance();
+        } else {
+            this.targetMistakes++;
+            this.saveState();
         }
 
         if (this.onProgressUpdate) {
@@ -130,12 +604,334 @@ class LearningEngine {
         return isCorrect;
     }
 
+    /**
+     * Grade a strum against the current chord target.
+     * playedNotes are the detected note names ("E2", "G#3", ...); every chord tone
+     * must sound and nothing else. Returns whether it was correct.
+     */
+    checkChord(playedNotes) {
+        const target = this.getCurrentTarget();
+        const match = target.chord.match(playedNotes);
+
+        this.totalAttempts++;
+        this.lastResult = {
+            correct: match.correct,
+            reason: match.correct ? null : 'wrong-chord',
+            message: null
+        };
+        if (!match.correct) {
+            const parts = [];
+            if (match.missing.length > 0) parts.push(`missing ${match.missing.join(', ')}`);
+            if (match.extra.length > 0) parts.push(`extra ${match.extra.join(', ')}`);
+            this.lastResult.message = `Not quite: ${parts.join('; ')}`;
+        }
+
+        const latency = match.correct ? this.getResponseLatency() : null;
+        this.sessionLog.recordAttempt({
+            target: target.note,
+            string: null,
+            stringName: null,
+            fret: null,
+            played: playedNotes.join(' '),
+            correct: match.correct,
+            latency: latency
+        });
+
+        if (match.correct) {
+            this.lastResult.latency = latency;
+            this.correctAttempts++;
+            this.advanceChord();
+        } else {
+            this.targetMistakes++;
+            this.saveState();
+        }
+
+        if (this.onProgressUpdate) {
+            this.onProgressUpdate();
+        }
+
+        return match.correct;
+    }
+
+    /**
+     * Grade one note of the interval exercise. The root comes first and sets
+     * lastResult.pending; the next note must be the interval above the root as
+     * it was played (any octave for the root unless strict position is on).
+     * Playing the root again restarts the pair. Returns true once the pair is right.
+     */
+    checkIntervalNote(playedNote, detection = null) {
+        const target = this.getCurrentTarget();
+        const midi = detection && detection.midiNumber !== undefined ? detection.midiNumber : null;
+        const played = detection ? `${detection.name}${detection.octave}` : playedNote;
+
+        const isUpper = this.intervalRoot !== null &&
+                        target.interval.isCompletedBy(this.intervalRoot.midi, playedNote, midi);
+        let result = null;
+        if (!isUpper) {
+            result = this.isTargetNote(playedNote, { note: target.root.note }) ?
+                { correct: true, reason: null, message: null } :
+                { correct: false, reason: 'wrong-note', message: null };
+            if (result.correct && this.strictPosition && midi !== null) {
+                result = this.checkPosition(target.root, detection);
+            }
+        } else if (this.strictPosition && midi !== null) {
+            result = this.checkPosition(target.upper, detection);
+        } else {
+            result = { correct: true, reason: null, message: null };
+        }
+        if (result.correct && this.intonationEnabled && detection && detection.intonation) {
+            result = this.checkIntonation(detection.intonation);
+        }
+
+        // Root: wait for the second note
+        if (!isUpper && result.correct) {
+            this.intervalRoot = { note: played, midi: midi };
+            this.lastResult = {
+                correct: false,
+                pending: true,
+                reason: null,
+                message: `${played} ✓ now the ${target.interval.type.name} above`
+            };
+            return false;
+        }
+
+        if (!result.correct && !result.message) {
+            result.message = this.describeIntervalMiss(target, playedNote, midi);
+        }
+        const sequence = this.intervalRoot ? `${this.intervalRoot.note} → ${played}` : played;
+        this.intervalRoot = null;
+        this.totalAttempts++;
+        this.lastResult = result;
+
+        const latency = result.correct ? this.getResponseLatency() : null;
+        this.sessionLog.recordAttempt({
+            target: target.note,
+            string: target.root.string,
+            stringName: target.stringName,
+            fret: target.root.fret,
+            played: sequence,
+            cents: detection ? detection.cents : null,
+            confidence: detection ? detection.confidence : null,
+            correct: result.correct,
+            latency: latency
+        });
+
+        if (result.correct) {
+            this.lastResult.latency = latency;
+            this.correctAttempts++;
+            this.advanceInterval();
+        } else {
+            this.targetMistakes++;
+            this.saveState();
+        }
+
+        if (this.onProgressUpdate) {
+            this.onProgressUpdate();
+        }
+
+        return result.correct;
+    }
+
+    // Why a note didn't complete the interval (or start it)
+    describeIntervalMiss(target, playedNote, midi) {
+        if (!this.intervalRoot) {
+            return `Start on ${target.root.note} (you played ${playedNote})`;
+        }
+        if (this.intervalRoot.midi !== null && midi !== null) {
+            const semitones = midi - this.intervalRoot.midi;
+            const heard = Interval.fromSemitones(semitones);
+            const description = heard ? `a ${heard.name} above` :
+                (semitones <= 0 ? 'not above' : 'more than an octave above');
+            return `Try again: ${playedNote} is ${description} ${this.intervalRoot.note}`;
+        }
+        return `Try again: the ${target.interval.type.name} above ${target.root.note} is ${target.upper.note}`;
+    }
+
+    /**
+     * Grade one note of a scale run or tab. A right note moves on
+     * (lastResult.pending until the last step); the previous step's note again
+     * is a sustained note re-detected and is ignored; anything else is a mistake
+     * at the current step, which must then be played again. Returns true once
+     * the whole sequence is done.
+     */
+    checkSequenceNote(playedNote, detection = null) {
+        const target = this.getCurrentTarget();
+        const sequence = this.sequence;
+        const midi = detection && detection.midiNumber !== undefined ? detection.midiNumber : null;
+        const played = detection ? `${detection.name}${detection.octave}` : playedNote;
+        const step = target.expected;
+        const number = sequence.index + 1;
+
+        let result = null;
+        if (this.intonationEnabled && detection && detection.intonation &&
+            sequence.matches(step, playedNote, midi)) {
+            result = this.checkIntonation(detection.intonation);
+        }
+        const status = result && !result.correct ? sequence.miss() : sequence.check(playedNote, midi).status;
+
+        if (status === 'repeat') {
+            this.lastResult = { correct: false, pending: true, reason: null, message: null };
+            return false;
+        }
+        if (status === 'correct' && !sequence.isComplete()) {
+            this.lastResult = {
+                correct: false,
+                pending: true,
+                reason: null,
+                message: `${played} ✓ (${number}/${sequence.steps.length})`
+            };
+            if (this.onProgressUpdate) {
+                this.onProgressUpdate();
+            }
+            return false;
+        }
+
+        const correct = status === 'correct';
+        if (!correct && !(result && result.message)) {
+            const where = step.fret !== null ? ` on ${target.stringName} fret ${step.fret}` : '';
+            result = {
+                correct: false,
+                reason: 'wrong-step',
+                message: `Step ${number}: expected ${step.note}${step.octave !== null ? step.octave : ''}${where}, you played ${played}`
+            };
+        }
+        this.totalAttempts++;
+        if (correct) {
+            const missed = sequence.mistakes.map(i => i + 1);
+            result = {
+                correct: true,
+                reason: null,
+                message: missed.length > 0 ? `Run complete; wrong notes at step ${missed.join(', ')}` : null
+            };
+        }
+        this.lastResult = result;
+
+        const latency = correct ? this.getResponseLatency() : null;
+        this.sessionLog.recordAttempt({
+            target: correct ? target.title : `${target.title}, step ${number}`,
+            string: step.string,
+            stringName: target.stringName,
+            fret: step.fret,
+            played: played,
+            cents: detection ? detection.cents : null,
+            confidence: detection ? detection.confidence : null,
+            correct: correct,
+            latency: latency
+        });
+
+        if (correct) {
+            this.lastResult.latency = latency;
+            this.correctAttempts++;
+            this.advanceSequence();
+        } else {
+            this.targetMistakes++;
+            this.saveState();
+        }
+
+        if (this.onProgressUpdate) {
+            this.onProgressUpdate();
+        }
+
+        return correct;
+    }
+
+    // Pitch-class match against the target (enharmonics count)
+    isTargetNote(playedNote, target = this.getCurrentTarget()) {
+        const normalizedPlayed = this.normalizeNote(playedNote);
+        const normalizedTarget = this.normalizeNote(target.expected ? target.expected.note : target.note);
+        return normalizedPlayed === normalizedTarget ||
+               this.enharmonics[normalizedPlayed] === normalizedTarget;
+    }
+
+    // intonation is { passed, cents } from the app's IntonationTracker
+    checkIntonation(intonation) {
+        if (intonation.passed) {
+            return { correct: true, reason: null, message: null };
+        }
+
+        const cents = Math.round(intonation.cents);
+        if (Math.abs(cents) <= this.intonationTolerance) {
+            return {
+                correct: false,
+                reason: 'out-of-tune',
+                message: `Almost: hold the note in tune for ${this.intonationHoldMs} ms`
+            };
+        }
+
+        const direction = cents > 0 ? 'sharp' : 'flat';
+        return {
+            correct: false,
+            reason: 'out-of-tune',
+            message: `Out of tune: ${cents > 0 ? '+' : ''}${cents} cents ${direction} ` +
+                     `(hold it within ±${this.intonationTolerance})`
+        };
+    }
+
+    // Compare the detected octave with the sound of the written note
+    checkWrittenOctave(written, detection) {
+        const sounding = Math.floor(written.midi / 12) - 1;
+        if (detection.octave === sounding) {
+            return { correct: true, reason: null, message: null };
+        }
+
+        const expected = sounding === written.octave ?
+            `expected ${written.note}${sounding}` :
+            `the written ${written.note}${written.octave} sounds as ${written.note}${sounding}`;
+        return {
+            correct: false,
+            reason: 'wrong-octave',
+            message: `Wrong octave: you played ${detection.name}${detection.octave}, ${expected}`
+        };
+    }
+
+    // Verify the exact pitch against the target position in the current tuning
+    checkPosition(target, detection) {
+        if (!this.fretboard || target.fret === null) {
+            return { correct: true, reason: null, message: null };
+        }
+
+        const expected = this.fretboard.getNoteAt(target.string, target.fret);
+        const expectedMidi = this.fretboard.getMidiAt(target.string, target.fret);
+        if (detection.midiNumber === expectedMidi) {
+            return { correct: true, reason: null, message: null };
+        }
+
+        const played = `${detection.name}${detection.octave}`;
+        const positions = this.fretboard.getPositionsForMidi(detection.midiNumber);
+        const onTargetString = positions.find(p => p.string === target.string);
+
+        if (onTargetString) {
+            // Reachable on the target string, but not at the expected fret
+            return {
+                correct: false,
+                reason: 'wrong-octave',
+                message: `Wrong octave: you played ${played} (fret ${onTargetString.fret}), expected ${expected.note}${expected.octave} at fret ${target.fret}`
+            };
+        }
+
+        // Pitch cannot be produced on the target string at all
+        const elsewhere = positions
+            .map(p => `${this.fretboard.strings[p.string].name} fret ${p.fret}`)
+            .join(', ');
+        return {
+            correct: false,
+            reason: 'wrong-string',
+            message: `Wrong string: ${played} isn't on ${target.stringName}` +
+                     (elsewhere ? ` (that's ${elsewhere})` : '')
+        };
+    }
+
     normalizeNote(note) {
         // Remove octave information if present
         return note.replace(/[0-9]/g, '');
     }
 
     advance() {
+        if (this.schedulingMode === 'srs') {
+            this.advanceSrs();
+            return;
+        }
+
         if (this.isRandomRound) {
             // Increment note repetition counter
             this.currentNoteRepetition++;
@@ -167,7 +963,7 @@ class LearningEngine {
                 // Finished repeating this note, move to next
                 this.currentNoteRepetition = 0;
                 this.currentNoteIndex++;
-                const notes = this.modes[this.currentMode];
+                const notes = this.getActiveNotes();
 
                 if (this.currentNoteIndex >= notes.length) {
                     // Finished all notes in this round
@@ -190,6 +986,63 @@ class LearningEngine {
         this.saveState();
     }
 
+    // Run finished: the next one starts from the first step
+    advanceSequence() {
+        this.sequence = null;
+        this.notesCompleted++;
+
+        if (this.onNoteChange) {
+            this.onNoteChange(this.getCurrentTarget());
+        }
+
+        this.saveState();
+    }
+
+    // Next interval; a new shuffled pass starts after the last one
+    advanceInterval() {
+        this.intervalIndex++;
+        this.intervalRoot = null;
+        if (this.intervalIndex >= this.intervalQueue.length) {
+            this.notesCompleted++;
+            this.generateIntervalQueue();
+        }
+
+        if (this.onNoteChange) {
+            this.onNoteChange(this.getCurrentTarget());
+        }
+
+        this.saveState();
+    }
+
+    // Next chord; a new shuffled pass starts after the last one
+    advanceChord() {
+        this.chordIndex++;
+        if (this.chordIndex >= this.chordQueue.length) {
+            this.notesCompleted++;
+            this.generateChordQueue();
+        }
+
+        if (this.onNoteChange) {
+            this.onNoteChange(this.getCurrentTarget());
+        }
+
+        this.saveState();
+    }
+
+    // Move to the next due card, avoiding an immediate repeat of the one just answered
+    advanceSrs() {
+        const previousKey = this.srsCard ?
+            this.scheduler.getKey(this.srsCard.string, this.srsCard.note) :
+            null;
+        this.pickNextSrsCard(previousKey);
+
+        if (this.onNoteChange) {
+            this.onNoteChange(this.getCurrentTarget());
+        }
+
+        this.saveState();
+    }
+
     startRandomRound() {
         this.isRandomRound = true;
         this.randomRepeat = 0;
@@ -199,7 +1052,7 @@ class LearningEngine {
     }
 
     generateRandomRound() {
-        const notes = this.modes[this.currentMode];
+        const notes = this.getActiveNotes();
         this.randomNotes = [...notes].sort(() => Math.random() - 0.5);
     }
 
@@ -257,6 +1110,90 @@ class LearningEngine {
             this.currentRound = 0;
             this.isRandomRound = false;
             this.randomNotes = [];
+            this.srsCard = null;
+            this.chordQueue = [];
+            this.intervalQueue = [];
+            this.saveState();
+        }
+    }
+
+    // 'notes' (single-note flashcards), 'melodicIntervals' (root then interval),
+    // 'scales' (scale runner), 'tab' (once one is imported, see setTab),
+    // or a chord category: 'intervals', 'triads', 'sevenths'
+    setExerciseType(type) {
+        if (['notes', 'melodicIntervals', 'scales'].includes(type) || (type === 'tab' && this.tab) ||
+            Chord.getTypes(type).length > 0) {
+            this.exerciseType = type;
+            this.chordQueue = [];
+            this.intervalQueue = [];
+            this.sequence = null;
+            this.saveState();
+        }
+    }
+
+    // Scale, mode or arpeggio of the scale runner (see SCALE_TYPES)
+    setScaleType(typeId) {
+        if (SCALE_TYPES[typeId]) {
+            this.scaleType = typeId;
+            this.sequence = null;
+            this.saveState();
+        }
+    }
+
+    setScaleKey(key) {
+        if (Chord.pitchClassOf(key) !== -1) {
+            this.scaleKey = key;
+            this.sequence = null;
+            this.saveState();
+        }
+    }
+
+    // Practise an imported tab: targets are [{ string, fret }] from TabParser
+    setTab(title, targets) {
+        this.tab = { title, targets };
+        this.sequence = null;
+        this.setExerciseType('tab');
+    }
+
+    /**
+     * Practise a melody (MIDI numbers from MelodyParser) as a tab fingered for
+     * the current tuning, moved by octaves if it doesn't fit otherwise. Returns
+     * the semitones it was moved by, or null if it spans more than the neck.
+     */
+    setMelody(title, notes) {
+        const fingering = this.fingerMelody(notes);
+        if (!fingering) return null;
+
+        this.tab = { title, targets: fingering.targets, notes };
+        this.sequence = null;
+        this.setExerciseType('tab');
+        return fingering.shift;
+    }
+
+    // { targets, shift } for a melody on the whole neck of the current instrument, or null
+    fingerMelody(notes) {
+        const frets = this.fretboard.instrument.frets;
+        const { lowest, highest } = this.fretboard.getMidiRange(frets);
+        const shift = MelodyParser.getOctaveShift(notes, lowest, highest);
+        if (shift === null) return null;
+
+        return { targets: this.fretboard.findFingering(notes.map(n => n + shift), frets), shift };
+    }
+
+    // A CAGED shape ('C', 'A', 'G', 'E', 'D') or 'window'
+    setScalePosition(position) {
+        if (CAGED_POSITIONS[position] || position === 'window') {
+            this.scalePosition = position;
+            this.sequence = null;
+            this.saveState();
+        }
+    }
+
+    // 'curriculum' (sequential and random rounds per string) or 'srs' (spaced repetition)
+    setSchedulingMode(mode) {
+        if (mode === 'curriculum' || mode === 'srs') {
+            this.schedulingMode = mode;
+            this.srsCard = null;
             this.saveState();
         }
     }
@@ -276,8 +1213,136 @@ class LearningEngine {
         this.saveState();
     }
 
+    setInstrument(instrument) {
+        this.instrumentId = instrument.id;
+        this.saveState();
+    }
+
+    setTuning(tuning) {
+        this.tuning = tuning;
+        this.strings = tuning.getLearningOrder();
+        this.sequence = null;
+
+        // A melody is fingered again for the new tuning; a tab written for
+        // more strings can't be played any more
+        if (this.tab && this.tab.notes) {
+            const fingering = this.fingerMelody(this.tab.notes);
+            this.tab = fingering ? { ...this.tab, targets: fingering.targets } : null;
+        } else if (this.tab && this.tab.targets.some(t => t.string >= tuning.strings.length)) {
+            this.tab = null;
+        }
+        if (!this.tab && this.exerciseType === 'tab') {
+            this.exerciseType = 'notes';
+        }
+
+        // A profile with fewer strings may leave us past the last one
+        if (this.currentStringIndex >= this.strings.length) {
+            this.currentStringIndex = 0;
+            this.resetLevel();
+        }
+        this.saveState();
+    }
+
+    setFretCount(count) {
+        this.fretCount = Math.max(1, Math.min(24, count));
+        this.sequence = null;
+        this.saveState();
+    }
+
+    // Restrict targets to a fret window, e.g. setPositionWindow(5, 9); restarts the current string
+    setPositionWindow(start, end) {
+        const low = Math.max(0, Math.min(start, end));
+        const high = Math.min(this.fretCount, Math.max(start, end));
+        this.positionWindow = { start: low, end: high };
+        this.resetLevel();
+    }
+
+    clearPositionWindow() {
+        this.positionWindow = null;
+        this.resetLevel();
+    }
+
+    // Concert pitch reference, limited to 432-446 Hz
+    setA4Frequency(frequency) {
+        this.a4Frequency = Math.max(432, Math.min(446, frequency));
+        this.saveState();
+        return this.a4Frequency;
+    }
+
+    // Pitch estimator key; unknown keys fall back to YIN
+    setPitchAlgorithm(id) {
+        this.pitchAlgorithm = PITCH_ALGORITHMS[id] ? id : 'yin';
+        this.saveState();
+        return this.pitchAlgorithm;
+    }
+
+    setIntonation(enabled) {
+        this.intonationEnabled = enabled;
+        this.saveState();
+    }
+
+    // Cents either side of the exact pitch (3-50)
+    setIntonationTolerance(cents) {
+        this.intonationTolerance = Math.max(3, Math.min(50, cents));
+        this.saveState();
+    }
+
+    // Minimum time in tune (0-3000 ms)
+    setIntonationHold(ms) {
+        this.intonationHoldMs = Math.max(0, Math.min(3000, ms));
+        this.saveState();
+    }
+
+    setStrictPosition(enabled) {
+        this.strictPosition = enabled;
+        this.saveState();
+    }
+
+    setNotation(enabled) {
+        this.notationEnabled = enabled;
+        this.saveState();
+    }
+
     getProgress() {
-        const notes = this.modes[this.currentMode];
+        if (this.isChordExercise()) {
+            const total = this.chordQueue.length;
+            return {
+                current: this.chordIndex,
+                total: total,
+                percentage: total > 0 ? Math.round((this.chordIndex / total) * 100) : 0
+            };
+        }
+
+        if ((this.isScaleExercise() || this.isTabExercise()) && this.sequence) {
+            const total = this.sequence.steps.length;
+            return {
+                current: this.sequence.index,
+                total: total,
+                percentage: Math.round((this.sequence.index / total) * 100)
+            };
+        }
+
+        if (this.isIntervalExercise()) {
+            const total = this.intervalQueue.length;
+            return {
+                current: this.intervalIndex,
+                total: total,
+                percentage: total > 0 ? Math.round((this.intervalIndex / total) * 100) : 0
+            };
+        }
+
+        if (this.schedulingMode === 'srs') {
+            // Progress is the share of cards that are learned and not yet due again
+            const candidates = this.getSrsCandidates();
+            const scheduled = candidates.length - this.scheduler.getDueCount(candidates);
+            return {
+                current: scheduled,
+                total: candidates.length,
+                percentage: candidates.length > 0 ? Math.round((scheduled / candidates.length) * 100) : 0
+            };
+        }
+
+        const notes = this.getActiveNotes();
         const totalNotesPerString = (notes.length * this.noteRepetitions * this.repeatCount) +
                                    (notes.length * this.noteRepetitions * this.randomRounds);
         const totalNotes = totalNotesPerString * this.strings.length;
@@ -309,8 +1374,9 @@ class LearningEngine {
     }
 
     // State persistence
-    saveState() {
-        const state = {
+    // Fields of the engine saved in the profile's 'state' (only these are restored on load)
+    getPersistentState() {
+        return {
             currentMode: this.currentMode,
             currentStringIndex: this.currentStringIndex,
             currentNoteIndex: this.currentNoteIndex,
@@ -323,29 +1389,86 @@ class LearningEngine {
             noteRepetitions: this.noteRepetitions,
             repeatCount: this.repeatCount,
             randomRounds: this.randomRounds,
+            strictPosition: this.strictPosition,
+            notationEnabled: this.notationEnabled,
+            fretCount: this.fretCount,
+            positionWindow: this.positionWindow,
+            schedulingMode: this.schedulingMode,
+            exerciseType: this.exerciseType,
+            chordQueue: this.chordQueue,
+            chordIndex: this.chordIndex,
+            intervalQueue: this.intervalQueue,
+            intervalIndex: this.intervalIndex,
+            scaleType: this.scaleType,
+            scaleKey: this.scaleKey,
+            scalePosition: this.scalePosition,
+            tab: this.tab,
+            a4Frequency: this.a4Frequency,
+            pitchAlgorithm: this.pitchAlgorithm,
+            intonationEnabled: this.intonationEnabled,
+            intonationTolerance: this.intonationTolerance,
+            intonationHoldMs: this.intonationHoldMs,
+            srsCard: this.srsCard,
+            instrumentId: this.instrumentId,
+            tuning: this.tuning,
             totalAttempts: this.totalAttempts,
             correctAttempts: this.correctAttempts,
             notesCompleted: this.notesCompleted
         };
-        localStorage.setItem('fretlearner_state', JSON.stringify(state));
+    }
+
+    saveState() {
+        const state = this.getPersistentState();
+        this.storage.write('state', state);
+        this.storage.write('srs', this.scheduler);
+        this.storage.write('latency', this.latencyStats);
+        this.storage.write('positions', this.positionStats);
+        this.storage.write('history', this.sessionLog);
         console.log('State saved:', state);
     }
 
     loadState() {
-        const saved = localStorage.getItem('fretlearner_state');
-        if (saved) {
+        const state = this.storage.read('state');
+        if (state) {
             try {
-                const state = JSON.parse(saved);
-                Object.assign(this, state);
+                // Restore known fields only; anything else in the saved data is ignored
+                const defaults = this.getPersistentState();
+                for (const key in defaults) {
+                    if (state[key] !== undefined) {
+                        this[key] = state[key];
+                    }
+                }
+
+                // Saved tuning is plain data; rebuild the model and string labels
+                this.tuning = Tuning.fromJSON(state.tuning);
+                this.strings = this.tuning.getLearningOrder();
                 console.log('State loaded:', state);
             } catch (e) {
                 console.error('Error loading state:', e);
                 // Clear corrupted state
-                localStorage.removeItem('fretlearner_state');
+                this.storage.remove('state');
             }
         } else {
             console.log('No saved state found, starting fresh');
         }
+
+        const stores = [
+            ['srs', this.scheduler, 'SRS schedule'],
+            ['latency', this.latencyStats, 'latency statistics'],
+            ['positions', this.positionStats, 'position statistics'],
+            ['history', this.sessionLog, 'session history']
+        ];
+        for (const [name, store, label] of stores) {
+            const saved = this.storage.read(name);
+            if (!saved) continue;
+
+            try {
+                store.load(saved);
+            } catch (e) {
+                console.error(`Error loading ${label}:`, e);
+                this.storage.remove(name);
+            }
+        }
     }
 
     resetLevel() {
@@ -356,12 +1479,16 @@ class LearningEngine {
         this.randomNotes = [];
         this.randomNoteIndex = 0;
         this.randomRepeat = 0;
+        this.srsCard = null;
+        this.chordQueue = [];
+        this.intervalQueue = [];
+        this.sequence = null;
         this.saveState();
     }
 
     resetAll() {
-        // Clear all localStorage data
-        localStorage.clear();
+        // Clear the active profile's data (other profiles are kept)
+        this.storage.clear();
 
         this.currentMode = 'naturals';
         this.currentStringIndex = 0;
@@ -372,6 +1499,14 @@ class LearningEngine {
         this.randomNotes = [];
         this.randomNoteIndex = 0;
         this.randomRepeat = 0;
+        this.srsCard = null;
+        this.chordQueue = [];
+        this.intervalQueue = [];
+        this.sequence = null;
+        this.scheduler.clear();
+        this.latencyStats.clear();
+        this.positionStats.clear();
+        this.sessionLog.clear();
         this.totalAttempts = 0;
         this.correctAttempts = 0;
         this.notesCompleted = 0;
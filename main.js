@@ -1,8 +1,13 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
+const fs = require('fs');
+const { FileStore, migrate, createEmptyDocument } = require('./file-store');
 
 let mainWindow;
 
+// Progress, settings and history for all profiles, in the user-data directory
+const store = new FileStore(app.getPath('userData'));
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1400,
@@ -28,6 +33,88 @@ function createWindow() {
   });
 }
 
+// Save text (e.g. history exports) or bytes (a Uint8Array, e.g. session audio)
+// from the renderer to a file chosen by the user
+ipcMain.handle('save-file', async function (event, options) {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: options.title,
+    defaultPath: options.defaultPath,
+    filters: options.filters
+  });
+
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+
+  await fs.promises.writeFile(result.filePath, options.content, 'utf8');
+  return { canceled: false, filePath: result.filePath };
+});
+
+// Load the store for the renderer (synchronous, needed before the UI starts).
+// On first run the renderer's localStorage items are migrated into the file.
+ipcMain.on('store-load', function (event, legacyItems) {
+  try {
+    let doc = store.load();
+    let migrated = false;
+
+    if (!doc) {
+      if (legacyItems && Object.keys(legacyItems).length > 0) {
+        doc = migrate({ version: 0, localStorage: legacyItems });
+        migrated = true;
+      } else {
+        doc = createEmptyDocument();
+      }
+      store.save(doc);
+    }
+
+    event.returnValue = { document: doc, migrated: migrated };
+  } catch (error) {
+    console.error('Error loading store:', error);
+    event.returnValue = { error: error.message };
+  }
+});
+
+ipcMain.on('store-save', function (event, doc) {
+  try {
+    store.save(doc);
+    event.returnValue = { saved: true };
+  } catch (error) {
+    console.error('Error saving store:', error);
+    event.returnValue = { error: error.message };
+  }
+});
+
+ipcMain.handle('store-export', async function () {
+  const date = new Date().toISOString().slice(0, 10);
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Backup',
+    defaultPath: `fretlearner-backup-${date}.json`,
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  });
+
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+
+  store.exportBackup(result.filePath, store.load() || createEmptyDocument());
+  return { canceled: false, filePath: result.filePath };
+});
+
+ipcMain.handle('store-import', async function () {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Backup',
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+    properties: ['openFile']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+
+  const doc = store.importBackup(result.filePaths[0]);
+  return { canceled: false, document: doc };
+});
+
 app.whenReady().then(createWindow);
 
 app.on('window-all-closed', function () {
@@ -0,0 +1,217 @@
+// A MIDI file that can't be read, with the byte offset of the problem
+class MelodyParseError extends Error {
+    constructor(message, offset) {
+        super(`Byte ${offset}: ${message}`);
+        this.name = 'MelodyParseError';
+        this.offset = offset;
+    }
+}
+
+/**
+ * Reads a melody from a standard MIDI file or a MusicXML score (written as
+ * notes, without tab) into sounding MIDI numbers in playing order. Fingering
+ * them is left to Fretboard.findFingering.
+ *
+ * Only one line is read: the first MIDI track and channel with notes (drums on
+ * channel 10 are skipped), or the first voice of the first staff of the first
+ * pitched MusicXML part. Where several notes start together the highest, the
+ * usual melody note, is kept.
+ */
+class MelodyParser {
+    // MusicXML with pitched notes but no tab (TabParser reads the latter)
+    static isMelodyXml(text) {
+        return text.trimStart().startsWith('<') && /<pitch>/.test(text) && !/<fret>/.test(text);
+    }
+
+    // bytes: Uint8Array of a .mid file. Throws MelodyParseError.
+    static parseMidi(bytes) {
+        const readString = (offset, length) => String.fromCharCode(...bytes.slice(offset, offset + length));
+        const readNumber = (offset, length) => {
+            if (offset + length > bytes.length) {
+                throw new MelodyParseError('Unexpected end of file', bytes.length);
+            }
+            let value = 0;
+            for (let i = 0; i < length; i++) value = value * 256 + bytes[offset + i];
+            return value;
+        };
+
+        if (readString(0, 4) !== 'MThd') {
+            throw new MelodyParseError('Not a standard MIDI file (expected "MThd")', 0);
+        }
+        const headerLength = readNumber(4, 4);
+        const trackCount = readNumber(10, 2);
+
+        // First track and channel with notes: [{ tick, midi }]
+        let melody = null;
+        let offset = 8 + headerLength;
+        for (let track = 0; track < trackCount && !melody; track++) {
+            const length = readNumber(offset + 4, 4);
+            if (readString(offset, 4) === 'MTrk') {
+                melody = MelodyParser.readMidiTrack(bytes, offset + 8, offset + 8 + length);
+            } else {
+                track--; // Unknown chunks don't count as tracks
+            }
+            offset += 8 + length;
+        }
+
+        if (!melody) {
+            throw new MelodyParseError('No notes found in any track', 8 + headerLength);
+        }
+        return MelodyParser.topLine(melody);
+    }
+
+    // Notes of the first channel with notes in one MTrk chunk, or null
+    static readMidiTrack(bytes, start, end) {
+        if (end > bytes.length) {
+            throw new MelodyParseError('Track runs past the end of the file', start - 8);
+        }
+
+        const notes = [];
+        let channel = null;
+        let tick = 0;
+        let status = 0;
+        let i = start;
+
+        // Variable-length quantity (delta times and lengths)
+        const readVariable = () => {
+            let value = 0;
+            let byte;
+            do {
+                if (i >= end) throw new MelodyParseError('Unexpected end of track', i);
+                byte = bytes[i++];
+                value = value * 128 + (byte & 0x7f);
+            } while (byte & 0x80);
+            return value;
+        };
+
+        while (i < end) {
+            tick += readVariable();
+            if (bytes[i] & 0x80) {
+                status = bytes[i++];
+            } else if (status === 0) {
+                throw new MelodyParseError('Data byte without a status byte', i);
+            }
+
+            if (status === 0xff) {
+                const type = bytes[i++];
+                const length = readVariable();
+                i += length;
+                status = 0;
+                if (type === 0x2f) break; // End of track
+            } else if (status === 0xf0 || status === 0xf7) {
+                i += readVariable(); // System exclusive
+                status = 0;
+            } else {
+                const kind = status & 0xf0;
+                const dataBytes = kind === 0xc0 || kind === 0xd0 ? 1 : 2;
+                const key = bytes[i];
+                const velocity = bytes[i + 1];
+                i += dataBytes;
+
+                // Note on; velocity 0 is a note off
+                const noteChannel = status & 0x0f;
+                if (kind === 0x90 && velocity > 0 && noteChannel !== 9) {
+                    if (channel === null) channel = noteChannel;
+                    if (noteChannel === channel) notes.push({ tick: tick, midi: key });
+                }
+            }
+        }
+
+        return notes.length > 0 ? notes : null;
+    }
+
+    /**
+     * Sounding MIDI numbers of a MusicXML score written as notes. A <transpose>
+     * (or failing that an octave clef, e.g. treble 8vb for guitar) maps written
+     * to sounding pitch. Rests, unpitched and cue notes and tied continuations
+     * are skipped. Throws TabParseError, with the line and column as for tab.
+     */
+    static parseMusicXml(text) {
+        if (!/<score-partwise[\s>]/.test(text)) {
+            const where = TabParser.locate(text, Math.max(0, text.indexOf('<score-timewise')));
+            throw new TabParseError('Not a partwise MusicXML score (expected <score-partwise>)', where.line, where.column);
+        }
+
+        const STEPS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+        const partPattern = /<part(?:\s[^>]*)?>([\s\S]*?)<\/part>/g;
+        let part;
+        while ((part = partPattern.exec(text)) !== null) {
+            const body = part[1];
+            const bodyStart = part.index + part[0].indexOf('>') + 1;
+
+            const transpose = /<transpose>([\s\S]*?)<\/transpose>/.exec(body);
+            let shift = 0;
+            if (transpose) {
+                shift = parseInt((/<chromatic>\s*(-?\d+)/.exec(transpose[1]) || [0, 0])[1], 10) +
+                        12 * parseInt((/<octave-change>\s*(-?\d+)/.exec(transpose[1]) || [0, 0])[1], 10);
+            } else {
+                shift = 12 * parseInt((/<clef-octave-change>\s*(-?\d+)/.exec(body) || [0, 0])[1], 10);
+            }
+
+            const notes = [];
+            let line = null; // { staff, voice } of the first pitched note
+            const notePattern = /<note\b[^>]*>([\s\S]*?)<\/note>/g;
+            let match;
+            while ((match = notePattern.exec(body)) !== null) {
+                const note = match[1];
+                if (!/<pitch>/.test(note) || /<cue\s*\/>/.test(note)) continue;
+
+                const staff = (/<staff>\s*(\d+)/.exec(note) || [])[1] || null;
+                const voice = (/<voice>\s*(\w+)/.exec(note) || [])[1] || null;
+                if (!line) {
+                    line = { staff, voice };
+                } else if (line.staff !== staff || line.voice !== voice) {
+                    continue; // A lower voice or the other hand of a piano part
+                }
+
+                const step = /<step>\s*([A-G])\s*<\/step>/.exec(note);
+                const octave = /<octave>\s*(\d)\s*<\/octave>/.exec(note);
+                if (!step || !octave) {
+                    const where = TabParser.locate(text, bodyStart + match.index);
+                    throw new TabParseError('Pitch needs a <step> (A-G) and an <octave>', where.line, where.column);
+                }
+                const alter = parseInt((/<alter>\s*(-?\d+)/.exec(note) || [0, 0])[1], 10);
+                const midi = (parseInt(octave[1], 10) + 1) * 12 + STEPS[step[1]] + alter + shift;
+
+                if (/<chord\s*\/>/.test(note) && notes.length > 0) {
+                    // Part of the previous note's chord: keep the top note
+                    notes[notes.length - 1] = Math.max(notes[notes.length - 1], midi);
+                } else if (!/<tied?\s+type="stop"/.test(note)) {
+                    notes.push(midi);
+                }
+            }
+
+            if (notes.length > 0) return notes;
+        }
+
+        throw new TabParseError('No pitched notes found in any part', 1, 1);
+    }
+
+    // One note per start time, the highest of any that start together
+    static topLine(notes) {
+        const byTick = new Map();
+        notes.forEach(({ tick, midi }) => {
+            byTick.set(tick, Math.max(midi, byTick.has(tick) ? byTick.get(tick) : -1));
+        });
+        return [...byTick.keys()].sort((a, b) => a - b).map(tick => byTick.get(tick));
+    }
+
+    /**
+     * Octaves (as semitones, 0 first, then the closest) to move a melody by
+     * so every note lies in [lowest, highest], or null if it spans too much.
+     */
+    static getOctaveShift(notes, lowest, highest) {
+        const low = Math.min(...notes);
+        const high = Math.max(...notes);
+        for (const octaves of [0, 1, -1, 2, -2, 3, -3]) {
+            const shift = octaves * 12;
+            if (low + shift >= lowest && high + shift <= highest) return shift;
+        }
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MelodyParser, MelodyParseError };
+}
@@ -0,0 +1,71 @@
+/**
+ * An ordered run of notes to play one after the other (a scale or arpeggio
+ * pattern), graded one detection at a time.
+ *
+ * Steps are plain objects: { note, octave, midi, string, fret }. With a MIDI
+ * number on both sides the exact pitch must match; otherwise (testing mode)
+ * the pitch class does. A detection of the previous step's note again is a
+ * sustained note being re-detected, not a mistake.
+ */
+class NoteSequence {
+    constructor(steps) {
+        this.steps = steps;
+        this.index = 0;
+        this.mistakes = []; // Step indexes that had at least one wrong note
+    }
+
+    getCurrentStep() {
+        return this.steps[this.index] || null;
+    }
+
+    isComplete() {
+        return this.index >= this.steps.length;
+    }
+
+    /**
+     * Grade a played note against the current step. Returns
+     * { status: 'correct' | 'repeat' | 'wrong', step } where step is the index
+     * graded; 'correct' moves on to the next step.
+     */
+    check(playedNote, playedMidi = null) {
+        const step = this.index;
+        if (this.isComplete()) {
+            return { status: 'repeat', step: step };
+        }
+
+        if (this.matches(this.steps[step], playedNote, playedMidi)) {
+            this.index++;
+            return { status: 'correct', step: step };
+        }
+        if (step > 0 && this.matches(this.steps[step - 1], playedNote, playedMidi)) {
+            return { status: 'repeat', step: step };
+        }
+
+        return { status: this.miss(), step: step };
+    }
+
+    // Count a mistake at the current step without moving on; returns 'wrong'
+    miss() {
+        if (!this.mistakes.includes(this.index)) {
+            this.mistakes.push(this.index);
+        }
+        return 'wrong';
+    }
+
+    matches(step, playedNote, playedMidi) {
+        if (playedMidi !== null && step.midi !== null) {
+            return playedMidi === step.midi;
+        }
+        return Chord.pitchClassOf(playedNote) === Chord.pitchClassOf(step.note);
+    }
+
+    restart() {
+        this.index = 0;
+        this.mistakes = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoteSequence;
+}
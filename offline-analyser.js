@@ -0,0 +1,147 @@
+/**
+ * Offline note detection for recorded audio files.
+ *
+ * Runs AudioDetector.processFrame over a decoded recording the way the worklet
+ * runs it over the microphone (same frame size, frame rate and spectrum), and
+ * turns the detector's readings into a list of notes. A note starts at the
+ * frame the detector first reports it and ends when it reports silence or
+ * another note, so the times match what live detection would have graded.
+ *
+ * Usage:
+ *   const { samples, sampleRate } = await OfflineAnalyser.decode(await file.arrayBuffer());
+ *   const analyser = new OfflineAnalyser(detector.getConfig());
+ *   const notes = await analyser.analyse(samples, sampleRate);
+ *   // [{ start, end, note, name, octave, midiNumber, frequency, cents, confidence }], times in seconds
+ */
+class OfflineAnalyser {
+    constructor(config = {}) {
+        this.config = config; // AudioDetector settings: range, A4, thresholds, algorithm (see getConfig)
+        this.FRAME_RATE = 60;
+        this.FRAMES_PER_YIELD = 120; // Let the UI update every 2 s of audio
+    }
+
+    /**
+     * Decode a WAV, FLAC, OGG (or any format the platform decodes) and mix it
+     * down to mono, resampled to sampleRate. Rejects when the data can't be decoded.
+     */
+    static async decode(arrayBuffer, sampleRate = 48000) {
+        const context = new OfflineAudioContext(1, 1, sampleRate);
+        const audioBuffer = await context.decodeAudioData(arrayBuffer);
+
+        const samples = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+
+        return { samples, sampleRate: audioBuffer.sampleRate, duration: audioBuffer.duration };
+    }
+
+    /**
+     * Detect the notes in mono samples. onProgress, if given, is called with
+     * 0-1 as the analysis advances.
+     */
+    async analyse(samples, sampleRate, onProgress = null) {
+        const detector = new AudioDetector();
+        detector.applyConfig(this.config);
+        detector.debugMode = false;
+        detector.sampleRate = sampleRate;
+        detector.updateFrameSize();
+
+        const frameSize = detector.FRAME_SIZE;
+        const spectrum = new SpectrumAnalyser(frameSize);
+        const frame = new Float32Array(frameSize);
+        const freqBuffer = new Uint8Array(frameSize / 2);
+        const hopSize = Math.round(sampleRate / this.FRAME_RATE);
+
+        const notes = [];
+        let current = null;
+        let time = 0;
+
+        const finishNote = () => {
+            notes.push(OfflineAnalyser.summarise(current, time));
+            current = null;
+        };
+
+        detector.onNoteDetected = (noteInfo) => {
+            if (current && (!noteInfo || noteInfo.displayNote !== current.note)) {
+                finishNote();
+            }
+            if (!noteInfo) return;
+
+            if (!current) {
+                current = { start: time, note: noteInfo.displayNote, readings: [] };
+            }
+            current.readings.push(noteInfo);
+        };
+
+        // Frames end every hop; the first ones are padded with silence, like the worklet's ring buffer
+        let frameCount = 0;
+        for (let end = hopSize; end <= samples.length; end += hopSize) {
+            const start = end - frameSize;
+            if (start >= 0) {
+                frame.set(samples.subarray(start, end));
+            } else {
+                frame.fill(0, 0, -start);
+                frame.set(samples.subarray(0, end), -start);
+            }
+
+            time = end / sampleRate;
+            spectrum.getByteFrequencyData(frame, freqBuffer);
+            detector.processFrame(frame, freqBuffer, sampleRate, time * 1000);
+
+            if (++frameCount % this.FRAMES_PER_YIELD === 0) {
+                if (onProgress) onProgress(end / samples.length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        // A note still sounding at the end of the recording
+        time = samples.length / sampleRate;
+        if (current) {
+            finishNote();
+        }
+        if (onProgress) onProgress(1);
+
+        return notes;
+    }
+
+    // One note from its per-frame readings: median pitch, mean confidence
+    static summarise(current, end) {
+        const readings = current.readings;
+        const median = (values) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return sorted[Math.floor(sorted.length / 2)];
+        };
+        const first = readings[0];
+
+        return {
+            start: Math.round(current.start * 1000) / 1000,
+            end: Math.round(end * 1000) / 1000,
+            note: current.note,
+            name: first.name,
+            octave: first.octave,
+            midiNumber: first.midiNumber,
+            frequency: Math.round(median(readings.map(r => r.frequency)) * 100) / 100,
+            cents: median(readings.map(r => r.cents)),
+            confidence: Math.round(readings.reduce((sum, r) => sum + r.confidence, 0) / readings.length * 1000) / 1000
+        };
+    }
+
+    // One row per note
+    static toCSV(notes) {
+        const header = ['start_s', 'end_s', 'note', 'frequency_hz', 'cents', 'confidence'];
+        const rows = [header.join(',')];
+        for (const n of notes) {
+            rows.push([n.start, n.end, n.note, n.frequency, n.cents, n.confidence].join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineAnalyser;
+}
@@ -0,0 +1,493 @@
+/**
+ * Pitch estimation strategies for AudioDetector (see AudioDetector.setPitchAlgorithm).
+ *
+ * Every algorithm turns one frame into { frequency, confidence } or null, where
+ * confidence is a 0-1 periodicity: 1 - confidence is the aperiodicity that
+ * calibration measures, and the threshold-based methods accept a pitch only when
+ * it is below detector.YIN_THRESHOLD. The result feeds updateNoteState unchanged.
+ *
+ * Interface:
+ *   estimate(timeBuffer, freqBuffer, sampleRate) // -> { frequency, confidence } or null
+ *   reset()                                     // Forget state kept between frames
+ */
+
+// YIN (de Cheveigné & Kawahara, 2002): AudioDetector.yinPitch
+class YinAlgorithm {
+    constructor(detector) {
+        this.detector = detector;
+    }
+
+    estimate(timeBuffer, freqBuffer, sampleRate) {
+        return this.detector.yinPitch(timeBuffer, sampleRate);
+    }
+
+    reset() {}
+}
+
+/**
+ * McLeod Pitch Method (McLeod & Wyvill, 2005): the period is the first key
+ * maximum of the normalised square difference function (NSDF) within
+ * KEY_MAXIMUM_RATIO of the highest one; its height is the clarity (confidence).
+ */
+class McLeodAlgorithm {
+    constructor(detector) {
+        this.detector = detector;
+        this.KEY_MAXIMUM_RATIO = 0.9; // k in the paper
+        this.fft = null;
+    }
+
+    estimate(timeBuffer, freqBuffer, sampleRate) {
+        const size = timeBuffer.length;
+        const minTau = Math.max(1, Math.floor(sampleRate / this.detector.MAX_FREQUENCY));
+        const maxTau = Math.min(Math.floor(size / 2), Math.ceil(sampleRate / this.detector.MIN_FREQUENCY));
+        const nsdf = this.nsdf(timeBuffer, maxTau + 1);
+
+        // Key maxima: the highest point between each positive-going zero crossing
+        // and the next negative-going one, skipping the lobe around tau = 0
+        const keyMaxima = [];
+        let tau = 1;
+        while (tau <= maxTau && nsdf[tau] > 0) {
+            tau++;
+        }
+        let best = -1;
+        for (; tau <= maxTau; tau++) {
+            if (nsdf[tau] > 0) {
+                if (best === -1 || nsdf[tau] > nsdf[best]) {
+                    best = tau;
+                }
+            } else if (best !== -1) {
+                keyMaxima.push(best);
+                best = -1;
+            }
+        }
+        if (best !== -1) {
+            keyMaxima.push(best);
+        }
+
+        const candidates = keyMaxima.filter(t => t >= minTau);
+        if (candidates.length === 0) return null;
+
+        const highest = Math.max(...candidates.map(t => nsdf[t]));
+        const period = candidates.find(t => nsdf[t] >= this.KEY_MAXIMUM_RATIO * highest);
+
+        // Parabolic interpolation of the peak position and height
+        const a = nsdf[period - 1];
+        const b = nsdf[period];
+        const c = nsdf[period + 1];
+        const denominator = a - 2 * b + c;
+        const shift = denominator !== 0 ? (a - c) / (2 * denominator) : 0;
+        const clarity = Math.min(1, b - (a - c) * shift / 4);
+
+        if (1 - clarity >= this.detector.YIN_THRESHOLD) return null;
+
+        return {
+            frequency: sampleRate / (period + shift),
+            confidence: clarity
+        };
+    }
+
+    /**
+     * n(tau) = 2 r(tau) / m(tau) for tau <= maxTau, with r the autocorrelation
+     * (from a zero-padded FFT) and m the energy of the overlapping parts
+     */
+    nsdf(buffer, maxTau) {
+        const size = buffer.length;
+        const fftSize = size * 2; // Zero padding keeps the correlation from wrapping around
+        if (!this.fft || this.fft.size !== fftSize) {
+            this.fft = new FFT(fftSize);
+            this.real = new Float64Array(fftSize);
+            this.imag = new Float64Array(fftSize);
+        }
+        const { real, imag } = this;
+
+        for (let i = 0; i < fftSize; i++) {
+            real[i] = i < size ? buffer[i] : 0;
+            imag[i] = 0;
+        }
+        this.fft.forward(real, imag);
+        for (let k = 0; k < fftSize; k++) {
+            real[k] = real[k] * real[k] + imag[k] * imag[k];
+            imag[k] = 0;
+        }
+        this.fft.inverse(real, imag);
+
+        // m(tau) = sum(x[j]^2 + x[j+tau]^2, j < N - tau), updated as tau grows
+        let energy = 0;
+        for (let i = 0; i < size; i++) {
+            energy += 2 * buffer[i] * buffer[i];
+        }
+
+        const nsdf = new Float32Array(maxTau + 1);
+        for (let tau = 0; tau <= maxTau; tau++) {
+            nsdf[tau] = energy > 0 ? 2 * real[tau] / energy : 0;
+            energy -= buffer[tau] * buffer[tau] + buffer[size - 1 - tau] * buffer[size - 1 - tau];
+        }
+        return nsdf;
+    }
+
+    reset() {}
+}
+
+/**
+ * Probabilistic YIN (Mauch & Dixon, 2014). Instead of one threshold, every
+ * threshold in 0.01-1.00 votes, weighted by a Beta(2, 18) prior, for the first
+ * CMNDF dip below it. The votes are observations of an HMM over 20-cent pitch
+ * bins, each voiced or unvoiced, decoded with Viterbi; the end of the best path
+ * so far is reported, so smoothing adds no latency. The Viterbi decision
+ * replaces YIN_THRESHOLD.
+ */
+class ProbabilisticYinAlgorithm {
+    constructor(detector) {
+        this.detector = detector;
+        this.BIN_CENTS = 20;              // Pitch resolution of the HMM
+        this.MAX_JUMP_BINS = 25;          // Largest voiced pitch change between frames (5 semitones)
+        this.SWITCH_PROBABILITY = 0.01;   // Voiced <-> unvoiced transition
+        this.ABSOLUTE_MIN_WEIGHT = 0.01;  // Vote of a threshold no dip is below, given to the deepest dip
+
+        // Threshold prior Beta(2, 18), mean 0.1
+        this.thresholds = [];
+        this.thresholdWeights = [];
+        let total = 0;
+        for (let i = 1; i <= 100; i++) {
+            const s = i / 100;
+            const weight = s * Math.pow(1 - s, 17);
+            this.thresholds.push(s);
+            this.thresholdWeights.push(weight);
+            total += weight;
+        }
+        this.thresholdWeights = this.thresholdWeights.map(w => w / total);
+
+        // Pitch-change weights, triangular over +-MAX_JUMP_BINS and 1 for staying on a bin
+        this.logJump = [];
+        for (let d = -this.MAX_JUMP_BINS; d <= this.MAX_JUMP_BINS; d++) {
+            this.logJump.push(Math.log((this.MAX_JUMP_BINS + 1 - Math.abs(d)) / (this.MAX_JUMP_BINS + 1)));
+        }
+
+        this.reset();
+    }
+
+    reset() {
+        this.voiced = null;   // Log score of the best path ending in each voiced bin
+        this.unvoiced = null; // ...and in each unvoiced bin
+        this.range = null;    // { min, max } frequencies the bins were built for
+    }
+
+    estimate(timeBuffer, freqBuffer, sampleRate) {
+        const detector = this.detector;
+        if (!this.range || this.range.min !== detector.MIN_FREQUENCY || this.range.max !== detector.MAX_FREQUENCY) {
+            this.buildBins(detector.MIN_FREQUENCY, detector.MAX_FREQUENCY);
+        }
+
+        const cmndf = detector.cumulativeMeanNormalizedDifference(timeBuffer);
+        const minTau = Math.max(1, Math.floor(sampleRate / detector.MAX_FREQUENCY));
+        const maxTau = Math.min(cmndf.length - 1, Math.floor(sampleRate / detector.MIN_FREQUENCY));
+        const candidates = this.candidates(cmndf, minTau, maxTau, sampleRate);
+
+        // Observation probabilities: candidate mass per voiced bin, the rest for every unvoiced bin
+        const numBins = this.binCount;
+        const voicedObservation = new Float64Array(numBins);
+        let voicedProbability = 0;
+        for (const candidate of candidates) {
+            const bin = this.binOf(candidate.frequency);
+            if (bin >= 0 && bin < numBins) {
+                voicedObservation[bin] += candidate.probability;
+                voicedProbability += candidate.probability;
+            }
+        }
+        const unvoicedObservation = Math.log(Math.max(1e-12, 1 - voicedProbability));
+
+        this.viterbiStep(voicedObservation, unvoicedObservation);
+
+        // End of the best path so far
+        let bestBin = 0;
+        let bestVoiced = true;
+        let bestScore = -Infinity;
+        for (let i = 0; i < numBins; i++) {
+            if (this.voiced[i] > bestScore) {
+                bestScore = this.voiced[i];
+                bestBin = i;
+                bestVoiced = true;
+            }
+            if (this.unvoiced[i] > bestScore) {
+                bestScore = this.unvoiced[i];
+                bestBin = i;
+                bestVoiced = false;
+            }
+        }
+        if (!bestVoiced) return null;
+
+        // Report the nearest candidate within a semitone, else the bin centre
+        const binsPerSemitone = 100 / this.BIN_CENTS;
+        let nearest = null;
+        for (const candidate of candidates) {
+            const distance = Math.abs(this.binOf(candidate.frequency) - bestBin);
+            if (distance <= binsPerSemitone && (!nearest || distance < nearest.distance)) {
+                nearest = { candidate, distance };
+            }
+        }
+        if (nearest) {
+            return {
+                frequency: nearest.candidate.frequency,
+                confidence: 1 - nearest.candidate.cmndf
+            };
+        }
+        return {
+            frequency: this.binFrequency(bestBin),
+            confidence: 0
+        };
+    }
+
+    // Each threshold votes for the first CMNDF dip below it (a local minimum, as YIN picks it)
+    candidates(cmndf, minTau, maxTau, sampleRate) {
+        const dips = [];
+        for (let tau = minTau + 1; tau < maxTau; tau++) {
+            if (cmndf[tau] < cmndf[tau - 1] && cmndf[tau] <= cmndf[tau + 1]) {
+                dips.push({ tau, cmndf: cmndf[tau], probability: 0 });
+            }
+        }
+        if (dips.length === 0) return [];
+
+        let deepest = dips[0];
+        for (const dip of dips) {
+            if (dip.cmndf < deepest.cmndf) deepest = dip;
+        }
+
+        this.thresholds.forEach((threshold, i) => {
+            const dip = dips.find(d => d.cmndf < threshold);
+            if (dip) {
+                dip.probability += this.thresholdWeights[i];
+            } else {
+                deepest.probability += this.thresholdWeights[i] * this.ABSOLUTE_MIN_WEIGHT;
+            }
+        });
+
+        return dips.filter(dip => dip.probability > 0).map(dip => {
+            // Parabolic interpolation, as in YIN
+            const s0 = cmndf[dip.tau - 1];
+            const s1 = cmndf[dip.tau];
+            const s2 = cmndf[dip.tau + 1];
+            const denominator = 2 * (2 * s1 - s2 - s0);
+            const tau = denominator !== 0 ? dip.tau + (s2 - s0) / denominator : dip.tau;
+            return { frequency: sampleRate / tau, cmndf: dip.cmndf, probability: dip.probability };
+        });
+    }
+
+    buildBins(minFrequency, maxFrequency) {
+        this.range = { min: minFrequency, max: maxFrequency };
+        this.binCount = Math.ceil(1200 * Math.log2(maxFrequency / minFrequency) / this.BIN_CENTS) + 1;
+        this.voiced = new Float64Array(this.binCount).fill(-Infinity);
+        this.unvoiced = new Float64Array(this.binCount); // Start unvoiced
+    }
+
+    binOf(frequency) {
+        return Math.round(1200 * Math.log2(frequency / this.range.min) / this.BIN_CENTS);
+    }
+
+    binFrequency(bin) {
+        return this.range.min * Math.pow(2, bin * this.BIN_CENTS / 1200);
+    }
+
+    // One Viterbi step in the log domain, rescaled so the best path scores 0
+    viterbiStep(voicedObservation, unvoicedObservation) {
+        const numBins = this.binCount;
+        const stay = Math.log(1 - this.SWITCH_PROBABILITY);
+        const change = Math.log(this.SWITCH_PROBABILITY);
+
+        // Unvoiced bins carry no pitch information, so any bin can follow any other
+        let fromUnvoiced = -Infinity;
+        for (let i = 0; i < numBins; i++) {
+            fromUnvoiced = Math.max(fromUnvoiced, this.unvoiced[i]);
+        }
+
+        const voiced = new Float64Array(numBins);
+        const unvoiced = new Float64Array(numBins);
+        let best = -Infinity;
+        for (let i = 0; i < numBins; i++) {
+            let fromVoiced = -Infinity;
+            const first = Math.max(0, i - this.MAX_JUMP_BINS);
+            const last = Math.min(numBins - 1, i + this.MAX_JUMP_BINS);
+            for (let j = first; j <= last; j++) {
+                const score = this.voiced[j] + this.logJump[j - i + this.MAX_JUMP_BINS];
+                if (score > fromVoiced) fromVoiced = score;
+            }
+
+            voiced[i] = Math.max(fromVoiced + stay, this.unvoiced[i] + change) +
+                        Math.log(Math.max(1e-12, voicedObservation[i]));
+            unvoiced[i] = Math.max(fromUnvoiced + stay, this.voiced[i] + change) + unvoicedObservation;
+            best = Math.max(best, voiced[i], unvoiced[i]);
+        }
+
+        for (let i = 0; i < numBins; i++) {
+            voiced[i] -= best;
+            unvoiced[i] -= best;
+        }
+        this.voiced = voiced;
+        this.unvoiced = unvoiced;
+    }
+}
+
+/**
+ * Harmonic Product Spectrum (Noll, 1969): the spectrum multiplied by copies of
+ * itself compressed by 2..HARMONICS peaks at the fundamental. The confidence is
+ * the share of the spectrum's energy found at the first HARMONICS harmonics.
+ */
+class HarmonicProductSpectrumAlgorithm {
+    constructor(detector) {
+        this.detector = detector;
+        this.HARMONICS = 5;
+        this.ZERO_PADDING = 4;     // Interpolated bins, for low notes
+        this.OCTAVE_RATIO = 0.05;  // Prefer a subharmonic if its product is at least this share...
+        this.SUBHARMONIC_LEVEL = 0.1; // ...and its own magnitude this share of the peak's (not noise)
+        this.MAX_DIVISOR = 8;      // Bright low strings can put the product's peak on the 7th harmonic
+        this.fft = null;
+    }
+
+    estimate(timeBuffer, freqBuffer, sampleRate) {
+        const magnitudes = this.magnitudeSpectrum(timeBuffer);
+        const binWidth = sampleRate / this.fft.size;
+        const minBin = Math.max(1, Math.ceil(this.detector.MIN_FREQUENCY / binWidth));
+        const maxBin = Math.min(Math.floor(this.detector.MAX_FREQUENCY / binWidth),
+                                Math.floor((magnitudes.length - 1) / this.HARMONICS));
+        if (maxBin <= minBin) return null;
+
+        // Sum of log magnitudes = log of the product. Magnitudes are floored 60 dB
+        // below the strongest bin, so harmonics that have died away don't veto a note
+        let strongest = 0;
+        for (let k = 0; k < magnitudes.length; k++) {
+            strongest = Math.max(strongest, magnitudes[k]);
+        }
+        const floor = Math.max(strongest * 1e-3, 1e-12);
+        const logProduct = (bin) => {
+            let sum = 0;
+            for (let h = 1; h <= this.HARMONICS; h++) {
+                sum += Math.log(Math.max(magnitudes[h * bin], floor));
+            }
+            return sum;
+        };
+
+        // Only bins with some energy of their own can be the fundamental
+        let peak = minBin;
+        let peakValue = -Infinity;
+        for (let bin = minBin; bin <= maxBin; bin++) {
+            if (magnitudes[bin] <= floor) continue;
+            const value = logProduct(bin);
+            if (value > peakValue) {
+                peakValue = value;
+                peak = bin;
+            }
+        }
+
+        // A weak fundamental can put the peak on a harmonic: take the lowest
+        // subharmonic (1/2 to 1/MAX_DIVISOR of it) that comes close enough
+        const lobe = 2 * this.ZERO_PADDING;
+        const top = peak;
+        const highest = peakValue;
+        for (let divisor = 2; divisor <= this.MAX_DIVISOR; divisor++) {
+            const below = Math.round(top / divisor);
+            if (below - lobe < minBin) break;
+
+            let lowerPeak = below;
+            for (let bin = below - lobe; bin <= below + lobe; bin++) {
+                if (logProduct(bin) > logProduct(lowerPeak)) lowerPeak = bin;
+            }
+            if (logProduct(lowerPeak) >= highest + Math.log(this.OCTAVE_RATIO) &&
+                magnitudes[lowerPeak] >= this.SUBHARMONIC_LEVEL * magnitudes[top]) {
+                peak = lowerPeak;
+                peakValue = logProduct(lowerPeak);
+            }
+        }
+
+        // Parabolic interpolation on the log product
+        let shift = 0;
+        if (peak > minBin && peak < maxBin) {
+            const a = logProduct(peak - 1);
+            const c = logProduct(peak + 1);
+            const denominator = a - 2 * peakValue + c;
+            if (denominator !== 0) shift = (a - c) / (2 * denominator);
+        }
+
+        // Energy within the main lobe of each harmonic, against everything up to the last one
+        let harmonicEnergy = 0;
+        let totalEnergy = 0;
+        const lastBin = Math.min(magnitudes.length - 1, Math.round((this.HARMONICS + 0.5) * peak));
+        for (let bin = Math.round(peak / 2); bin <= lastBin; bin++) {
+            const power = magnitudes[bin] * magnitudes[bin];
+            totalEnergy += power;
+            const harmonic = Math.round(bin / peak);
+            if (harmonic >= 1 && harmonic <= this.HARMONICS && Math.abs(bin - harmonic * peak) <= lobe) {
+                harmonicEnergy += power;
+            }
+        }
+        const confidence = totalEnergy > 0 ? harmonicEnergy / totalEnergy : 0;
+
+        if (1 - confidence >= this.detector.YIN_THRESHOLD) return null;
+
+        return {
+            frequency: (peak + shift) * binWidth,
+            confidence: confidence
+        };
+    }
+
+    // Magnitudes of the Hann-windowed, zero-padded frame
+    magnitudeSpectrum(buffer) {
+        const size = buffer.length;
+        const fftSize = size * this.ZERO_PADDING;
+        if (!this.fft || this.fft.size !== fftSize) {
+            this.fft = new FFT(fftSize);
+            this.real = new Float64Array(fftSize);
+            this.imag = new Float64Array(fftSize);
+            this.magnitudes = new Float64Array(fftSize / 2);
+            this.window = new Float64Array(size);
+            for (let i = 0; i < size; i++) {
+                this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+            }
+        }
+
+        for (let i = 0; i < fftSize; i++) {
+            this.real[i] = i < size ? buffer[i] * this.window[i] : 0;
+            this.imag[i] = 0;
+        }
+        this.fft.forward(this.real, this.imag);
+        for (let k = 0; k < this.magnitudes.length; k++) {
+            this.magnitudes[k] = Math.hypot(this.real[k], this.imag[k]);
+        }
+        return this.magnitudes;
+    }
+
+    reset() {}
+}
+
+const PITCH_ALGORITHMS = {
+    yin: {
+        name: 'YIN',
+        create: (detector) => new YinAlgorithm(detector)
+    },
+    mpm: {
+        name: 'McLeod (MPM)',
+        create: (detector) => new McLeodAlgorithm(detector)
+    },
+    pyin: {
+        name: 'Probabilistic YIN',
+        create: (detector) => new ProbabilisticYinAlgorithm(detector)
+    },
+    hps: {
+        name: 'Harmonic Product Spectrum',
+        create: (detector) => new HarmonicProductSpectrumAlgorithm(detector)
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PITCH_ALGORITHMS,
+        YinAlgorithm,
+        McLeodAlgorithm,
+        ProbabilisticYinAlgorithm,
+        HarmonicProductSpectrumAlgorithm
+    };
+}
+
+// Make the algorithms available to the audio worklet (see pitch-worklet.js)
+if (typeof AudioWorkletGlobalScope !== 'undefined') {
+    globalThis.PITCH_ALGORITHMS = PITCH_ALGORITHMS;
+}
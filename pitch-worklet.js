@@ -0,0 +1,93 @@
+/**
+ * AudioWorklet processor that runs AudioDetector's frame analysis (envelope,
+ * spectral flux, YIN, harmonic check and note state machine) off the main thread.
+ *
+ * Samples are collected in a ring buffer and analysed every hop, a fixed
+ * 1/frameRate of a second, with the audio clock as the frame time. The
+ * detector's callbacks are queued and posted to the main thread once per
+ * frame together with its state (see AudioDetector.handleWorkletMessage).
+ *
+ * Loaded after fft.js, spectrum-analyser.js, polyphonic-detector.js,
+ * pitch-algorithms.js and audio-detector.js (see AudioDetector.WORKLET_MODULES).
+ */
+class PitchProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { frameSize, frameRate, config } = options.processorOptions;
+
+        this.detector = new AudioDetector();
+        this.detector.applyConfig(config);
+        this.allocate(frameSize);
+        this.hopSize = Math.round(sampleRate / frameRate);
+        this.samplesSinceFrame = 0;
+
+        // Callbacks of this frame, replayed in order on the main thread
+        this.events = [];
+        this.detector.onNoteDetected = (noteInfo) => this.events.push(['note', noteInfo]);
+        this.detector.onSilenceDetected = () => this.events.push(['silence', null]);
+        this.detector.onVolumeChange = (volume) => this.events.push(['volume', volume]);
+        this.detector.onAnalysisFrame = (frame) => this.events.push(['analysis', frame]);
+        this.detector.onDebugData = (debugInfo) => this.events.push(['debug', debugInfo]);
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    // Buffers for frames of frameSize samples; the history restarts empty
+    allocate(frameSize) {
+        this.spectrum = new SpectrumAnalyser(frameSize);
+        this.ring = new Float32Array(frameSize);
+        this.frame = new Float32Array(frameSize);
+        this.freqBuffer = new Uint8Array(frameSize / 2);
+        this.writeIndex = 0;
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'config':
+                this.detector.applyConfig(message.config);
+                // A low-tuned instrument can need a longer frame (see AudioDetector.updateFrameSize)
+                if (this.detector.FRAME_SIZE !== this.ring.length) {
+                    this.allocate(this.detector.FRAME_SIZE);
+                }
+                break;
+            case 'clear':
+                this.detector.clearRecentNotes();
+                break;
+        }
+    }
+
+    process(inputs) {
+        const input = inputs[0] && inputs[0][0];
+        if (!input) return true;
+
+        for (let i = 0; i < input.length; i++) {
+            this.ring[this.writeIndex] = input[i];
+            this.writeIndex = (this.writeIndex + 1) % this.ring.length;
+
+            if (++this.samplesSinceFrame >= this.hopSize) {
+                this.samplesSinceFrame = 0;
+                this.analyseFrame();
+            }
+        }
+        return true;
+    }
+
+    analyseFrame() {
+        // Unroll the ring buffer, oldest sample first
+        const tail = this.ring.subarray(this.writeIndex);
+        this.frame.set(tail);
+        this.frame.set(this.ring.subarray(0, this.writeIndex), tail.length);
+
+        this.spectrum.getByteFrequencyData(this.frame, this.freqBuffer);
+        this.detector.processFrame(this.frame, this.freqBuffer, sampleRate, currentTime * 1000);
+
+        this.port.postMessage({
+            type: 'frame',
+            events: this.events,
+            state: this.detector.getSnapshot()
+        });
+        this.events = [];
+    }
+}
+
+registerProcessor('pitch-detector', PitchProcessor);
@@ -0,0 +1,176 @@
+/**
+ * Multi-pitch detection for chords and double-stops (spectral peaks + harmonic salience).
+ *
+ * Peaks are picked from the analyser's byte spectrum and refined by parabolic
+ * interpolation. Every peak in the fundamental range is a candidate, scored by
+ * the energy found on its harmonic series. The strongest candidate is accepted,
+ * the partials it explains are attenuated, and the search repeats, so that an
+ * octave or fifth above an accepted note is not reported from shared partials.
+ *
+ * Usage:
+ *   const notes = poly.detect(byteSpectrum, sampleRate, fftSize);
+ *   // [{ name, octave, midiNumber, frequency, cents, salience }, ...] low to high
+ */
+class PolyphonicDetector {
+    constructor() {
+        this.NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        this.A4_FREQUENCY = 440;
+
+        // Search ranges (fundamentals follow the instrument, see AudioDetector.setInstrument)
+        this.MIN_FREQUENCY = 50;
+        this.MAX_FREQUENCY = 2000;
+        this.MAX_PEAK_FREQUENCY = 5000; // Partials above this are ignored
+
+        // Peak picking on the byte spectrum (0-255 spans the analyser's 70 dB range by default)
+        this.BYTE_DB_RANGE = 70;
+        this.PEAK_FLOOR = 60;  // Ignore bins quieter than this
+        this.PEAK_RANGE = 45;  // ...or this far below the loudest bin
+
+        // Harmonic salience
+        this.NUM_HARMONICS = 8;
+        this.HARMONIC_TOLERANCE_CENTS = 35; // Allows for string inharmonicity
+        this.HARMONIC_ATTENUATION = 0.2;    // Share of a partial left once a note explains it
+        this.MIN_RELATIVE_SALIENCE = 0.2;   // Stop below this fraction of the strongest note
+        this.MAX_NOTES = 6;
+    }
+
+    // Local maxima of the byte spectrum as { frequency, magnitude } (linear magnitude)
+    findPeaks(spectrum, binWidth) {
+        const firstBin = Math.max(1, Math.floor(this.MIN_FREQUENCY * 0.9 / binWidth));
+        const lastBin = Math.min(spectrum.length - 2, Math.ceil(this.MAX_PEAK_FREQUENCY / binWidth));
+
+        let loudest = 0;
+        for (let i = firstBin; i <= lastBin; i++) {
+            loudest = Math.max(loudest, spectrum[i]);
+        }
+        const threshold = Math.max(this.PEAK_FLOOR, loudest - this.PEAK_RANGE);
+
+        const peaks = [];
+        for (let i = firstBin; i <= lastBin; i++) {
+            const b = spectrum[i];
+            if (b < threshold || b <= spectrum[i - 1] || b < spectrum[i + 1]) continue;
+
+            // Parabolic interpolation of the peak position and level
+            const a = spectrum[i - 1];
+            const c = spectrum[i + 1];
+            const denominator = a - 2 * b + c;
+            const offset = denominator !== 0 ? 0.5 * (a - c) / denominator : 0;
+            const level = b - 0.25 * (a - c) * offset;
+
+            const db = (level / 255) * this.BYTE_DB_RANGE;
+            peaks.push({
+                frequency: (i + offset) * binWidth,
+                magnitude: Math.pow(10, db / 20)
+            });
+        }
+        return peaks;
+    }
+
+    // Index of the peak nearest to a frequency within the harmonic tolerance (-1 if none)
+    findPeakNear(peaks, frequency) {
+        let best = -1;
+        let bestDistance = this.HARMONIC_TOLERANCE_CENTS;
+        for (let i = 0; i < peaks.length; i++) {
+            const distance = Math.abs(1200 * Math.log2(peaks[i].frequency / frequency));
+            if (distance <= bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Harmonic salience of a candidate fundamental with the current partial energies.
+     * The fundamental itself must be present. Returns { score, matches, frequency }
+     * where frequency is refined from the matched partials.
+     */
+    salience(f0, peaks, energies) {
+        const matches = [];
+        let score = 0;
+        let weightedFrequency = 0;
+        let totalWeight = 0;
+
+        for (let h = 1; h <= this.NUM_HARMONICS; h++) {
+            const index = this.findPeakNear(peaks, f0 * h);
+            if (index === -1) {
+                if (h === 1) return { score: 0, matches: [], frequency: f0 };
+                continue;
+            }
+
+            const energy = energies[index];
+            score += energy / Math.sqrt(h);
+            weightedFrequency += energy * peaks[index].frequency / h;
+            totalWeight += energy;
+            matches.push(index);
+        }
+
+        return {
+            score: score,
+            matches: matches,
+            frequency: totalWeight > 0 ? weightedFrequency / totalWeight : f0
+        };
+    }
+
+    detect(spectrum, sampleRate, fftSize) {
+        const peaks = this.findPeaks(spectrum, sampleRate / fftSize);
+        const energies = peaks.map(p => p.magnitude);
+        const candidates = peaks
+            .map((p, i) => i)
+            .filter(i => peaks[i].frequency >= this.MIN_FREQUENCY && peaks[i].frequency <= this.MAX_FREQUENCY);
+
+        const notes = [];
+        const used = new Set();
+        let strongest = null;
+
+        while (notes.length < this.MAX_NOTES) {
+            let best = null;
+            for (const i of candidates) {
+                if (used.has(i)) continue;
+                const result = this.salience(peaks[i].frequency, peaks, energies);
+                if (!best || result.score > best.score) {
+                    best = { ...result, index: i };
+                }
+            }
+
+            if (!best || best.score <= 0) break;
+            if (strongest === null) {
+                strongest = best.score;
+            } else if (best.score < strongest * this.MIN_RELATIVE_SALIENCE) {
+                break;
+            }
+
+            used.add(best.index);
+            best.matches.forEach(i => { energies[i] *= this.HARMONIC_ATTENUATION; });
+
+            const note = this.frequencyToNote(best.frequency);
+            if (!notes.some(n => n.midiNumber === note.midiNumber)) {
+                notes.push({ ...note, salience: best.score / strongest });
+            }
+        }
+
+        return notes.sort((a, b) => a.frequency - b.frequency);
+    }
+
+    frequencyToNote(frequency) {
+        const midiNumber = Math.round(69 + 12 * Math.log2(frequency / this.A4_FREQUENCY));
+        const exactFrequency = this.A4_FREQUENCY * Math.pow(2, (midiNumber - 69) / 12);
+        return {
+            name: this.NOTE_NAMES[midiNumber % 12],
+            octave: Math.floor(midiNumber / 12) - 1,
+            midiNumber: midiNumber,
+            frequency: frequency,
+            cents: Math.round(1200 * Math.log2(frequency / exactFrequency))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PolyphonicDetector;
+}
+
+// Make the class available to the audio worklet (see pitch-worklet.js)
+if (typeof AudioWorkletGlobalScope !== 'undefined') {
+    globalThis.PolyphonicDetector = PolyphonicDetector;
+}
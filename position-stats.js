@@ -0,0 +1,124 @@
+/**
+ * Per-position (string, fret) practice statistics for the fretboard heatmap.
+ *
+ * Every graded attempt at a target position is recorded with its outcome and,
+ * for correct answers, the response latency. A mastery score combines accuracy
+ * and speed so cells can be coloured from red (weak) to green (mastered).
+ */
+class PositionStats {
+    constructor() {
+        this.cells = {}; // "string:fret" -> { attempts, correct, latencies, history }
+
+        this.MAX_LATENCIES = 50;
+        this.MAX_HISTORY = 30;
+
+        // Latency scoring range (ms): at or below FAST is full speed credit, SLOW or above is none
+        this.FAST_RESPONSE_MS = 1500;
+        this.SLOW_RESPONSE_MS = 6000;
+    }
+
+    getKey(string, fret) {
+        return `${string}:${fret}`;
+    }
+
+    // Record one graded attempt ({ note, played, correct, latency })
+    record(string, fret, attempt, now = Date.now()) {
+        if (fret === null || fret === undefined) return;
+
+        const key = this.getKey(string, fret);
+        if (!this.cells[key]) {
+            this.cells[key] = { attempts: 0, correct: 0, latencies: [], history: [] };
+        }
+
+        const cell = this.cells[key];
+        cell.attempts++;
+        if (attempt.correct) {
+            cell.correct++;
+            if (attempt.latency !== null && attempt.latency !== undefined) {
+                cell.latencies.push(attempt.latency);
+                if (cell.latencies.length > this.MAX_LATENCIES) {
+                    cell.latencies.shift();
+                }
+            }
+        }
+
+        cell.history.push({
+            time: now,
+            note: attempt.note,
+            played: attempt.played,
+            correct: attempt.correct,
+            latency: attempt.latency === undefined ? null : attempt.latency
+        });
+        if (cell.history.length > this.MAX_HISTORY) {
+            cell.history.shift();
+        }
+    }
+
+    getCell(string, fret) {
+        return this.cells[this.getKey(string, fret)] || null;
+    }
+
+    static median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+    }
+
+    /**
+     * Summary for one position: accuracy (0-1), median latency and a mastery
+     * score (0-1) weighting accuracy 60% and speed 40%
+     */
+    getSummary(string, fret) {
+        const cell = this.getCell(string, fret);
+        if (!cell || cell.attempts === 0) return null;
+
+        const accuracy = cell.correct / cell.attempts;
+        const medianLatency = PositionStats.median(cell.latencies);
+
+        let speed = 0;
+        if (medianLatency !== null) {
+            const range = this.SLOW_RESPONSE_MS - this.FAST_RESPONSE_MS;
+            speed = Math.max(0, Math.min(1, (this.SLOW_RESPONSE_MS - medianLatency) / range));
+        }
+
+        return {
+            attempts: cell.attempts,
+            correct: cell.correct,
+            accuracy: accuracy,
+            medianLatency: medianLatency,
+            score: 0.6 * accuracy + 0.4 * speed,
+            history: cell.history
+        };
+    }
+
+    // Summaries for every recorded position, keyed "string:fret"
+    getHeatmap() {
+        const heatmap = {};
+        for (const key in this.cells) {
+            const [string, fret] = key.split(':').map(Number);
+            const summary = this.getSummary(string, fret);
+            if (summary) {
+                heatmap[key] = summary;
+            }
+        }
+        return heatmap;
+    }
+
+    toJSON() {
+        return { cells: this.cells };
+    }
+
+    load(data) {
+        this.cells = data && data.cells ? data.cells : {};
+    }
+
+    clear() {
+        this.cells = {};
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PositionStats;
+}
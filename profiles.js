@@ -0,0 +1,116 @@
+/**
+ * Named user profiles with isolated storage.
+ *
+ * Each profile's data is stored separately (by profile id), so progress,
+ * settings, calibration and history never mix between students.
+ *
+ * The backend is a StoreClient (store-client.js) or anything with the same
+ * getIndex/setIndex/read/write/remove/removeProfile methods.
+ */
+class ProfileManager {
+    constructor(backend = new StoreClient()) {
+        this.backend = backend;
+        this.index = null; // { activeId, profiles: [{ id, name, createdAt }] }
+
+        this.loadIndex();
+    }
+
+    loadIndex() {
+        this.index = this.backend.getIndex();
+
+        if (!this.index || !Array.isArray(this.index.profiles) || this.index.profiles.length === 0) {
+            this.index = {
+                activeId: 'default',
+                profiles: [{ id: 'default', name: 'Default', createdAt: Date.now() }]
+            };
+            this.saveIndex();
+        }
+
+        if (!this.index.profiles.some(p => p.id === this.index.activeId)) {
+            this.index.activeId = this.index.profiles[0].id;
+        }
+    }
+
+    saveIndex() {
+        this.backend.setIndex(this.index);
+    }
+
+    getProfiles() {
+        return this.index.profiles;
+    }
+
+    getActiveProfile() {
+        return this.index.profiles.find(p => p.id === this.index.activeId);
+    }
+
+    createProfile(name) {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            throw new Error('Profile name is empty');
+        }
+        if (this.index.profiles.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A profile named "${trimmed}" already exists`);
+        }
+
+        const profile = { id: `p${Date.now().toString(36)}`, name: trimmed, createdAt: Date.now() };
+        this.index.profiles.push(profile);
+        this.saveIndex();
+        return profile;
+    }
+
+    renameProfile(id, name) {
+        const profile = this.index.profiles.find(p => p.id === id);
+        const trimmed = name.trim();
+        if (!profile || !trimmed) return;
+
+        profile.name = trimmed;
+        this.saveIndex();
+    }
+
+    // Deletes the profile and all of its data; the last profile cannot be deleted
+    deleteProfile(id) {
+        if (this.index.profiles.length <= 1) {
+            throw new Error('Cannot delete the only profile');
+        }
+
+        this.backend.removeProfile(id);
+        this.index.profiles = this.index.profiles.filter(p => p.id !== id);
+        if (this.index.activeId === id) {
+            this.index.activeId = this.index.profiles[0].id;
+        }
+        this.saveIndex();
+    }
+
+    switchProfile(id) {
+        if (!this.index.profiles.some(p => p.id === id)) return false;
+
+        this.index.activeId = id;
+        this.saveIndex();
+        return true;
+    }
+
+    // ===== Storage scoped to the active profile =====
+
+    // Saved value (plain JSON data) or null
+    read(name) {
+        return this.backend.read(this.index.activeId, name);
+    }
+
+    write(name, value) {
+        this.backend.write(this.index.activeId, name, value);
+    }
+
+    remove(name) {
+        this.backend.remove(this.index.activeId, name);
+    }
+
+    // Remove all data of the active profile (other profiles are untouched)
+    clear() {
+        this.backend.removeProfile(this.index.activeId);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileManager;
+}
@@ -0,0 +1,71 @@
+// Scales, modes and arpeggios for the scale runner (semitones above the root)
+const SCALE_TYPES = {
+    // Scales
+    major: { category: 'scales', name: 'major scale', steps: [0, 2, 4, 5, 7, 9, 11] },
+    naturalMinor: { category: 'scales', name: 'natural minor scale', steps: [0, 2, 3, 5, 7, 8, 10] },
+    harmonicMinor: { category: 'scales', name: 'harmonic minor scale', steps: [0, 2, 3, 5, 7, 8, 11] },
+    majorPentatonic: { category: 'scales', name: 'major pentatonic', steps: [0, 2, 4, 7, 9] },
+    minorPentatonic: { category: 'scales', name: 'minor pentatonic', steps: [0, 3, 5, 7, 10] },
+
+    // Modes (Ionian and Aeolian are the major and natural minor scales)
+    dorian: { category: 'modes', name: 'Dorian', steps: [0, 2, 3, 5, 7, 9, 10] },
+    phrygian: { category: 'modes', name: 'Phrygian', steps: [0, 1, 3, 5, 7, 8, 10] },
+    lydian: { category: 'modes', name: 'Lydian', steps: [0, 2, 4, 6, 7, 9, 11] },
+    mixolydian: { category: 'modes', name: 'Mixolydian', steps: [0, 2, 4, 5, 7, 9, 10] },
+    locrian: { category: 'modes', name: 'Locrian', steps: [0, 1, 3, 5, 6, 8, 10] },
+
+    // Arpeggios
+    majorArpeggio: { category: 'arpeggios', name: 'major arpeggio', steps: [0, 4, 7] },
+    minorArpeggio: { category: 'arpeggios', name: 'minor arpeggio', steps: [0, 3, 7] },
+    dominant7Arpeggio: { category: 'arpeggios', name: 'dominant 7th arpeggio', steps: [0, 4, 7, 10] },
+    major7Arpeggio: { category: 'arpeggios', name: 'major 7th arpeggio', steps: [0, 4, 7, 11] },
+    minor7Arpeggio: { category: 'arpeggios', name: 'minor 7th arpeggio', steps: [0, 3, 7, 10] }
+};
+
+/**
+ * CAGED positions: the fret window around the root on one string, named after
+ * the open chord shape found there. rootString counts from the thinnest string
+ * (6 = low E on a guitar); below and above are frets either side of the root.
+ */
+const CAGED_POSITIONS = {
+    C: { name: 'C shape', rootString: 5, below: 3, above: 1 },
+    A: { name: 'A shape', rootString: 5, below: 1, above: 3 },
+    G: { name: 'G shape', rootString: 6, below: 3, above: 1 },
+    E: { name: 'E shape', rootString: 6, below: 1, above: 3 },
+    D: { name: 'D shape', rootString: 4, below: 1, above: 3 }
+};
+
+// A scale, mode or arpeggio on a given root, spelled with sharps or flats to match the root
+class Scale {
+    constructor(root, typeId) {
+        this.root = root;
+        this.typeId = typeId;
+        this.type = SCALE_TYPES[typeId];
+    }
+
+    // Scale types of a category ('scales', 'modes', 'arpeggios'), or all of them
+    static getTypes(category = null) {
+        return Object.keys(SCALE_TYPES).filter(id => !category || SCALE_TYPES[id].category === category);
+    }
+
+    getPitchClasses() {
+        const root = Chord.pitchClassOf(this.root);
+        return this.type.steps.map(step => (root + step) % 12);
+    }
+
+    // Name of a pitch class in this key
+    spell(pitchClass) {
+        const names = this.root.includes('b') ? Chord.FLAT_NAMES : Chord.SHARP_NAMES;
+        return names[pitchClass];
+    }
+
+    // "G major scale", "D Dorian"
+    getName() {
+        return `${this.root} ${this.type.name}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Scale, SCALE_TYPES, CAGED_POSITIONS };
+}
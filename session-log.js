@@ -0,0 +1,137 @@
+/**
+ * Practice history: every graded attempt, grouped into sessions.
+ *
+ * Unlike fretlearner_state (a snapshot that is overwritten), this log keeps
+ * what was asked and played so teachers can review practice offline.
+ */
+class SessionLog {
+    constructor() {
+        this.sessions = []; // [{ id, startedAt, endedAt, attempts: [...] }]
+        this.currentSession = null;
+
+        this.MAX_SESSIONS = 100; // Oldest sessions are dropped first
+    }
+
+    startSession(now = Date.now()) {
+        this.endSession(now);
+
+        const session = { id: now, startedAt: now, endedAt: null, attempts: [] };
+        this.sessions.push(session);
+        this.currentSession = session;
+
+        if (this.sessions.length > this.MAX_SESSIONS) {
+            this.sessions.shift();
+        }
+        return session;
+    }
+
+    endSession(now = Date.now()) {
+        if (this.currentSession) {
+            this.currentSession.endedAt = now;
+            this.currentSession = null;
+        }
+    }
+
+    /**
+     * Record one attempt:
+     * { target, string, stringName, fret, played, cents, confidence, correct, latency }
+     */
+    recordAttempt(attempt, now = Date.now()) {
+        if (!this.currentSession) {
+            this.startSession(now);
+        }
+
+        this.currentSession.attempts.push({
+            timestamp: now,
+            target: attempt.target,
+            string: attempt.string,
+            stringName: attempt.stringName,
+            fret: attempt.fret === undefined ? null : attempt.fret,
+            played: attempt.played,
+            cents: attempt.cents === undefined ? null : attempt.cents,
+            confidence: attempt.confidence === undefined ? null : attempt.confidence,
+            correct: attempt.correct,
+            latency: attempt.latency === undefined ? null : attempt.latency
+        });
+    }
+
+    // Per-session totals for the history panel
+    getSessionSummary(session) {
+        const attempts = session.attempts;
+        const correct = attempts.filter(a => a.correct);
+        const latencies = correct
+            .map(a => a.latency)
+            .filter(l => l !== null)
+            .sort((a, b) => a - b);
+        const end = session.endedAt ||
+            (attempts.length > 0 ? attempts[attempts.length - 1].timestamp : session.startedAt);
+
+        return {
+            id: session.id,
+            startedAt: session.startedAt,
+            duration: end - session.startedAt,
+            attempts: attempts.length,
+            correct: correct.length,
+            accuracy: attempts.length > 0 ? correct.length / attempts.length : null,
+            medianLatency: latencies.length > 0 ? latencies[Math.floor(latencies.length / 2)] : null
+        };
+    }
+
+    // Sessions that have at least one attempt, newest first
+    getSessions() {
+        return this.sessions.filter(s => s.attempts.length > 0).reverse();
+    }
+
+    static escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // One row per attempt, with its session id and start time
+    toCSV() {
+        const header = ['session_id', 'session_start', 'timestamp', 'target', 'string', 'string_name',
+            'fret', 'played', 'cents', 'confidence', 'correct', 'latency_ms'];
+        const rows = [header.join(',')];
+
+        for (const session of this.sessions) {
+            for (const a of session.attempts) {
+                rows.push([
+                    session.id,
+                    new Date(session.startedAt).toISOString(),
+                    new Date(a.timestamp).toISOString(),
+                    a.target,
+                    a.string,
+                    a.stringName,
+                    a.fret,
+                    a.played,
+                    a.cents,
+                    a.confidence === null ? null : a.confidence.toFixed(3),
+                    a.correct,
+                    a.latency
+                ].map(SessionLog.escapeCSV).join(','));
+            }
+        }
+
+        return rows.join('\n') + '\n';
+    }
+
+    toJSON() {
+        return { sessions: this.sessions };
+    }
+
+    load(data) {
+        this.sessions = data && Array.isArray(data.sessions) ? data.sessions : [];
+        this.currentSession = null;
+    }
+
+    clear() {
+        this.sessions = [];
+        this.currentSession = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionLog;
+}
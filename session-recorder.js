@@ -0,0 +1,105 @@
+/**
+ * Records the microphone during a practice session, along with what was asked,
+ * what was heard and how it was graded, so the session can be played back with
+ * a synced timeline (see Fretlearner.showRecordingReview).
+ *
+ * Events are timed in seconds from the start of the recording:
+ *   { time, type: 'target' | 'detection' | 'result', label, correct? }
+ *
+ * Recordings stay in memory only; the review screen can save the audio.
+ */
+class SessionRecorder {
+    constructor() {
+        this.recorder = null;
+        this.chunks = [];
+        this.events = [];
+        this.startTime = 0;
+        this.startedAt = null;
+
+        // First one MediaRecorder supports is used
+        this.MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm'];
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined';
+    }
+
+    isRecording() {
+        return this.recorder !== null;
+    }
+
+    // Start recording a MediaStream; throws if MediaRecorder rejects it
+    start(stream, now = performance.now()) {
+        if (this.recorder) {
+            throw new Error('Already recording');
+        }
+
+        const mimeType = this.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.start();
+
+        this.recorder = recorder;
+        this.chunks = chunks;
+        this.events = [];
+        this.startTime = now;
+        this.startedAt = Date.now();
+    }
+
+    // Add an event at the current position; ignored when not recording
+    mark(type, label, details = {}, now = performance.now()) {
+        if (!this.recorder) return;
+
+        this.events.push({
+            time: Math.round(Math.max(0, now - this.startTime)) / 1000,
+            type: type,
+            label: label,
+            ...details
+        });
+    }
+
+    // Drop the latest event if it has this type
+    discardLast(type) {
+        const last = this.events[this.events.length - 1];
+        if (last && last.type === type) {
+            this.events.pop();
+        }
+    }
+
+    /**
+     * Stop recording. Resolves with { blob, mimeType, startedAt, duration, events }
+     * once the recorder has delivered its data, or null when nothing was recording.
+     */
+    stop(now = performance.now()) {
+        const recorder = this.recorder;
+        if (!recorder) return Promise.resolve(null);
+        this.recorder = null;
+
+        // Captured now: a new session may start before the data arrives
+        const chunks = this.chunks;
+        const recording = {
+            mimeType: recorder.mimeType,
+            startedAt: this.startedAt,
+            duration: Math.round(now - this.startTime) / 1000,
+            events: this.events
+        };
+        const finish = () => ({ blob: new Blob(chunks, { type: recorder.mimeType }), ...recording });
+
+        // The recorder stops by itself when the input ends (audio stopped first)
+        if (recorder.state === 'inactive') {
+            return Promise.resolve(finish());
+        }
+        return new Promise((resolve) => {
+            recorder.onstop = () => resolve(finish());
+            recorder.stop();
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionRecorder;
+}
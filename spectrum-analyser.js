@@ -0,0 +1,62 @@
+/**
+ * Byte magnitude spectrum computed the way an AnalyserNode computes it, for
+ * code that has samples but no AnalyserNode (the audio worklet, offline analysis).
+ *
+ * Blackman window, FFT, magnitude / N, smoothing over time with
+ * smoothingTimeConstant, then decibels mapped from [minDecibels, maxDecibels]
+ * to 0-255, as in AnalyserNode.getByteFrequencyData.
+ */
+class SpectrumAnalyser {
+    constructor(fftSize = 4096) {
+        this.fftSize = fftSize;
+        this.frequencyBinCount = fftSize / 2;
+
+        // AnalyserNode defaults
+        this.smoothingTimeConstant = 0.8;
+        this.minDecibels = -100;
+        this.maxDecibels = -30;
+
+        this.fft = new FFT(fftSize);
+        this.real = new Float64Array(fftSize);
+        this.imag = new Float64Array(fftSize);
+        this.smoothed = new Float64Array(this.frequencyBinCount);
+
+        this.window = new Float64Array(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            const phase = 2 * Math.PI * i / fftSize;
+            this.window[i] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+        }
+    }
+
+    // Spectrum of the latest fftSize samples (oldest first) into a Uint8Array
+    getByteFrequencyData(samples, output = new Uint8Array(this.frequencyBinCount)) {
+        const n = this.fftSize;
+        for (let i = 0; i < n; i++) {
+            this.real[i] = samples[i] * this.window[i];
+            this.imag[i] = 0;
+        }
+        this.fft.forward(this.real, this.imag);
+
+        const tau = this.smoothingTimeConstant;
+        const scale = 255 / (this.maxDecibels - this.minDecibels);
+        for (let k = 0; k < this.frequencyBinCount; k++) {
+            const magnitude = Math.hypot(this.real[k], this.imag[k]) / n;
+            this.smoothed[k] = tau * this.smoothed[k] + (1 - tau) * magnitude;
+
+            const db = 20 * Math.log10(this.smoothed[k]);
+            const value = Math.floor(scale * (db - this.minDecibels));
+            output[k] = Math.max(0, Math.min(255, value));
+        }
+        return output;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectrumAnalyser;
+}
+
+// Make the class available to the audio worklet (see pitch-worklet.js)
+if (typeof AudioWorkletGlobalScope !== 'undefined') {
+    globalThis.SpectrumAnalyser = SpectrumAnalyser;
+}
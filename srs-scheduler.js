@@ -0,0 +1,147 @@
+/**
+ * Spaced-repetition scheduler (SM-2 variant) for (string, note) flashcards.
+ *
+ * Each card tracks ease, interval and due time. Grades come from correctness
+ * and response latency, so slow recall is reviewed sooner than instant recall.
+ * Intervals are in minutes rather than SM-2's days to suit practice sessions.
+ */
+class SrsScheduler {
+    constructor() {
+        this.cards = {};
+
+        // SM-2 parameters
+        this.DEFAULT_EASE = 2.5;
+        this.MIN_EASE = 1.3;
+        this.FIRST_INTERVAL = 1;    // Minutes after the first successful review
+        this.SECOND_INTERVAL = 10;  // Minutes after the second
+        this.INTERVAL_UNIT_MS = 60 * 1000;
+        this.RELEARN_DELAY_MS = 30 * 1000; // Failed cards come back after a short pause
+
+        // Latency grading (ms from target shown to correct answer)
+        this.FAST_RESPONSE_MS = 2000;
+        this.SLOW_RESPONSE_MS = 6000;
+    }
+
+    getKey(string, note) {
+        return `${string}:${note}`;
+    }
+
+    getCard(string, note) {
+        const key = this.getKey(string, note);
+        if (!this.cards[key]) {
+            this.cards[key] = {
+                string: string,
+                note: note,
+                ease: this.DEFAULT_EASE,
+                interval: 0,
+                repetitions: 0,
+                lapses: 0,
+                reviews: 0,
+                due: 0,
+                lastReview: null,
+                lastLatency: null
+            };
+        }
+        return this.cards[key];
+    }
+
+    isNew(card) {
+        return card.reviews === 0;
+    }
+
+    /**
+     * SM-2 quality (0-5) from the outcome of one flashcard:
+     * wrong attempts before the right note fail the card, otherwise latency decides
+     */
+    gradeQuality(mistakes, latencyMs) {
+        if (mistakes > 1) return 1;
+        if (mistakes === 1) return 2;
+        if (latencyMs === null || latencyMs === undefined) return 4;
+        if (latencyMs <= this.FAST_RESPONSE_MS) return 5;
+        if (latencyMs <= this.SLOW_RESPONSE_MS) return 4;
+        return 3;
+    }
+
+    // Apply one review to a card and schedule its next due time
+    review(string, note, quality, latencyMs = null, now = Date.now()) {
+        const card = this.getCard(string, note);
+
+        if (quality < 3) {
+            // Lapse: start the card over
+            card.repetitions = 0;
+            card.interval = 0;
+            card.lapses++;
+        } else {
+            card.repetitions++;
+            if (card.repetitions === 1) {
+                card.interval = this.FIRST_INTERVAL;
+            } else if (card.repetitions === 2) {
+                card.interval = this.SECOND_INTERVAL;
+            } else {
+                card.interval = Math.round(card.interval * card.ease);
+            }
+        }
+
+        // SM-2 ease update
+        const q = quality;
+        card.ease = Math.max(this.MIN_EASE, card.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+        card.reviews++;
+        card.lastReview = now;
+        card.lastLatency = latencyMs;
+        card.due = card.interval > 0 ?
+            now + card.interval * this.INTERVAL_UNIT_MS :
+            now + this.RELEARN_DELAY_MS;
+
+        return card;
+    }
+
+    /**
+     * Pick the next card from candidates ([{ string, note }]):
+     * overdue cards first (most overdue first), then new cards in the given order,
+     * then the card due soonest. Avoids repeating excludeKey when there is a choice.
+     */
+    getNextCard(candidates, now = Date.now(), excludeKey = null) {
+        const cards = candidates
+            .map(c => this.getCard(c.string, c.note))
+            .filter(card => this.getKey(card.string, card.note) !== excludeKey);
+
+        if (cards.length === 0) {
+            return candidates.length > 0 ? this.getCard(candidates[0].string, candidates[0].note) : null;
+        }
+
+        const due = cards
+            .filter(card => !this.isNew(card) && card.due <= now)
+            .sort((a, b) => a.due - b.due);
+        if (due.length > 0) return due[0];
+
+        const fresh = cards.find(card => this.isNew(card));
+        if (fresh) return fresh;
+
+        return [...cards].sort((a, b) => a.due - b.due)[0];
+    }
+
+    getDueCount(candidates, now = Date.now()) {
+        return candidates
+            .map(c => this.getCard(c.string, c.note))
+            .filter(card => this.isNew(card) || card.due <= now)
+            .length;
+    }
+
+    toJSON() {
+        return { cards: this.cards };
+    }
+
+    load(data) {
+        this.cards = data && data.cards ? data.cards : {};
+    }
+
+    clear() {
+        this.cards = {};
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SrsScheduler;
+}
@@ -0,0 +1,171 @@
+// Staff for the notation flashcard: one whole note with ledger lines and its
+// accidental, on the instrument's clef. Guitar music is written an octave above
+// its sound, shown by the 8 under the treble clef; callers pass the written pitch.
+class Staff {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.pitch = null; // Written { note, octave }, e.g. { note: 'F#', octave: 4 }
+
+        this.LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+        this.MAX_SPACE = 14; // Pixels between staff lines when the note fits
+        this.PADDING = 14;
+
+        this.setInstrument(Instrument.fromId('guitar6'));
+    }
+
+    // Clef and octave mark of the instrument's written music
+    setInstrument(instrument) {
+        this.clef = instrument.clef;
+        // Only guitar marks its octave; bass parts sound an octave low without one
+        this.octaveMark = instrument.clef === 'treble' && instrument.writtenOctave === 1;
+
+        // Bottom and top lines, in diatonic steps from C0
+        this.BOTTOM_LINE = this.clef === 'bass' ? 2 * 7 + 4 : 4 * 7 + 2; // G2 or E4
+        this.TOP_LINE = this.BOTTOM_LINE + 8;                            // A3 or F5
+        this.draw();
+    }
+
+    setPitch(pitch) {
+        this.pitch = pitch;
+        this.draw();
+    }
+
+    // Diatonic steps from C0 (each line or space of the staff is one step)
+    getStep(note, octave) {
+        return octave * 7 + this.LETTERS.indexOf(note.charAt(0).toUpperCase());
+    }
+
+    // Treble clef drawn as a path (no music font needed), its curl around the G line at (x, y)
+    drawTrebleClef(x, y, space) {
+        const ctx = this.ctx;
+        const p = (dx, dy) => [x + dx * space, y + dy * space];
+
+        ctx.lineWidth = space * 0.2;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(...p(0.15, 0.5));
+        ctx.bezierCurveTo(...p(-0.5, 0.55), ...p(-0.55, -0.4), ...p(0.1, -0.5));
+        ctx.bezierCurveTo(...p(0.95, -0.6), ...p(1.05, 0.95), ...p(0.1, 1.1));
+        ctx.bezierCurveTo(...p(-1.05, 1.2), ...p(-1.2, -0.45), ...p(-0.4, -1.3));
+        ctx.bezierCurveTo(...p(0.25, -2.0), ...p(0.75, -2.8), ...p(0.5, -3.6));
+        ctx.bezierCurveTo(...p(0.3, -4.4), ...p(-0.3, -4.0), ...p(-0.2, -3.1));
+        ctx.lineTo(...p(0.3, 2.4));
+        ctx.bezierCurveTo(...p(0.35, 3.1), ...p(-0.3, 3.3), ...p(-0.45, 2.8));
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(...p(-0.28, 2.7), space * 0.28, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.lineCap = 'butt';
+    }
+
+    // Bass clef: its head on the F line at (x, y), the two dots either side of the line
+    drawBassClef(x, y, space) {
+        const ctx = this.ctx;
+        const p = (dx, dy) => [x + dx * space, y + dy * space];
+
+        ctx.lineWidth = space * 0.2;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(...p(0, 0));
+        ctx.bezierCurveTo(...p(0, -1.2), ...p(1.7, -1.4), ...p(1.8, -0.1));
+        ctx.bezierCurveTo(...p(1.9, 1.3), ...p(0.9, 2.4), ...p(-0.3, 3.0));
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(...p(0.1, 0), space * 0.38, 0, Math.PI * 2);
+        ctx.arc(...p(2.5, -0.5), space * 0.16, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(...p(2.5, 0.5), space * 0.16, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.lineCap = 'butt';
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        ctx.clearRect(0, 0, width, height);
+
+        // Fit the staff and the note, ledger lines included, into the canvas
+        const step = this.pitch ? this.getStep(this.pitch.note, this.pitch.octave) : this.BOTTOM_LINE;
+        const lowest = Math.min(step, this.BOTTOM_LINE - (this.octaveMark ? 6 : 2)); // Room for the 8 under the clef
+        const highest = Math.max(step, this.TOP_LINE + 2);
+        const space = Math.min(this.MAX_SPACE, 2 * (height - 2 * this.PADDING) / (highest - lowest));
+        const top = (height - (highest - lowest) * space / 2) / 2;
+        const yOf = (s) => top + (highest - s) * space / 2;
+
+        const left = 10;
+        const right = width - 10;
+        const noteX = left + (right - left) * 0.62;
+
+        ctx.strokeStyle = '#9caae5';
+        ctx.fillStyle = '#9caae5';
+        ctx.lineWidth = 1.5;
+
+        // Staff lines
+        for (let s = this.BOTTOM_LINE; s <= this.TOP_LINE; s += 2) {
+            ctx.beginPath();
+            ctx.moveTo(left, yOf(s));
+            ctx.lineTo(right, yOf(s));
+            ctx.stroke();
+        }
+
+        // Clef, with the 8 for octave-lower sound
+        const clefX = left + space * 1.6;
+        if (this.clef === 'bass') {
+            this.drawBassClef(left + space * 0.9, yOf(this.BOTTOM_LINE + 6), space);
+        } else {
+            this.drawTrebleClef(clefX, yOf(this.BOTTOM_LINE + 2), space);
+        }
+        if (this.octaveMark) {
+            ctx.font = `bold ${space * 1.1}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('8', clefX, yOf(this.BOTTOM_LINE - 5));
+        }
+
+        if (!this.pitch) return;
+
+        // Ledger lines out to the note
+        const ledgerHalf = space * 1.1;
+        for (let s = this.BOTTOM_LINE - 2; s >= step; s -= 2) {
+            ctx.beginPath();
+            ctx.moveTo(noteX - ledgerHalf, yOf(s));
+            ctx.lineTo(noteX + ledgerHalf, yOf(s));
+            ctx.stroke();
+        }
+        for (let s = this.TOP_LINE + 2; s <= step; s += 2) {
+            ctx.beginPath();
+            ctx.moveTo(noteX - ledgerHalf, yOf(s));
+            ctx.lineTo(noteX + ledgerHalf, yOf(s));
+            ctx.stroke();
+        }
+
+        // Whole note
+        const y = yOf(step);
+        ctx.strokeStyle = '#d4dcfb';
+        ctx.lineWidth = space * 0.22;
+        ctx.beginPath();
+        ctx.ellipse(noteX, y, space * 0.68, space * 0.42, -0.35, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Accidental
+        const accidental = this.pitch.note.charAt(1);
+        if (accidental) {
+            ctx.fillStyle = '#d4dcfb';
+            ctx.font = `${space * 2.2}px serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(accidental === '#' ? '♯' : '♭', noteX - space * 1.9, accidental === 'b' ? y - space * 0.3 : y);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Staff;
+}
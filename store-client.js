@@ -0,0 +1,144 @@
+/**
+ * Renderer side of the file store (file-store.js in the main process).
+ *
+ * The whole store document is loaded once at startup and kept in memory;
+ * changes are sent back to the main process shortly after they happen.
+ * Without an IPC channel (e.g. outside Electron) it is an in-memory store.
+ */
+class StoreClient {
+    constructor(ipc = null) {
+        this.ipc = ipc;
+        this.document = { version: 1, profiles: null, data: {} };
+        this.dirty = false;
+        this.saveTimeout = null;
+
+        this.SAVE_DELAY_MS = 250; // Batch the saves of one graded attempt into one write
+
+        if (this.ipc) {
+            this.load();
+            if (typeof window !== 'undefined') {
+                // Write pending changes before the window closes or reloads
+                window.addEventListener('beforeunload', () => this.flush(true));
+            }
+        }
+    }
+
+    load() {
+        const result = this.ipc.sendSync('store-load', StoreClient.readLegacyStorage());
+        if (!result || result.error) {
+            console.error('Error loading store, continuing without saved data:', result && result.error);
+            return;
+        }
+
+        this.document = result.document;
+        if (!this.document.data) {
+            this.document.data = {};
+        }
+        if (result.migrated) {
+            StoreClient.clearLegacyStorage();
+            console.log('Migrated localStorage data to the file store');
+        }
+    }
+
+    // fretlearner_* items saved by versions that used localStorage
+    static readLegacyStorage() {
+        const items = {};
+        if (typeof localStorage === 'undefined') return items;
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('fretlearner_')) {
+                items[key] = localStorage.getItem(key);
+            }
+        }
+        return items;
+    }
+
+    static clearLegacyStorage() {
+        Object.keys(StoreClient.readLegacyStorage()).forEach(key => localStorage.removeItem(key));
+    }
+
+    getIndex() {
+        return this.document.profiles;
+    }
+
+    setIndex(index) {
+        this.document.profiles = index;
+        this.scheduleSave();
+    }
+
+    read(profileId, name) {
+        const data = this.document.data[profileId];
+        return data && data[name] !== undefined ? data[name] : null;
+    }
+
+    // Values are stored as plain JSON data (a snapshot, so later changes to the object don't leak in)
+    write(profileId, name, value) {
+        if (!this.document.data[profileId]) {
+            this.document.data[profileId] = {};
+        }
+        this.document.data[profileId][name] = JSON.parse(JSON.stringify(value));
+        this.scheduleSave();
+    }
+
+    remove(profileId, name) {
+        const data = this.document.data[profileId];
+        if (data && name in data) {
+            delete data[name];
+            this.scheduleSave();
+        }
+    }
+
+    removeProfile(profileId) {
+        delete this.document.data[profileId];
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        this.dirty = true;
+        if (!this.ipc || this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => this.flush(), this.SAVE_DELAY_MS);
+    }
+
+    // Send pending changes to the main process (sync waits for the write to finish)
+    flush(sync = false) {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+        if (!this.ipc || !this.dirty) return;
+
+        this.dirty = false;
+        if (sync) {
+            const result = this.ipc.sendSync('store-save', this.document);
+            if (result && result.error) {
+                console.error('Error saving store:', result.error);
+            }
+        } else {
+            this.ipc.send('store-save', this.document);
+        }
+    }
+
+    // Save the full store (all profiles) to a file chosen by the user
+    async exportBackup() {
+        this.flush(true);
+        return this.ipc.invoke('store-export');
+    }
+
+    // Replace the store with a backup file; the caller should reload the UI
+    async importBackup() {
+        this.flush(true);
+        const result = await this.ipc.invoke('store-import');
+        if (!result.canceled) {
+            this.document = result.document;
+            this.dirty = false;
+        }
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StoreClient;
+}
@@ -0,0 +1,191 @@
+// A tab that can't be read, with the 1-based line and column of the problem
+class TabParseError extends Error {
+    constructor(message, line, column) {
+        super(`Line ${line}, column ${column}: ${message}`);
+        this.name = 'TabParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Reads exercises written as tablature into [{ string, fret }] targets in
+ * playing order (string 0 is the 1st/thinnest, as on the Fretboard).
+ *
+ * ASCII tab: blocks of string lines, highest string on top, each with an
+ * optional name and a bar before the frets:
+ *
+ *   e|-----0-----|
+ *   B|---1---1---|
+ *   G|-2-------2-|
+ *   ...
+ *
+ * Frets in the same column are played thickest string first. Techniques
+ * (h p / \ b r ~ and friends) are skipped, x (muted) is ignored, and text after
+ * the last bar (e.g. "x4") is ignored too.
+ *
+ * MusicXML: the notes of the first tab staff, i.e. notes with <string> and
+ * <fret> (string 1 is the highest), as exported by Guitar Pro and most
+ * notation programs. Rests and tied continuations are skipped.
+ */
+class TabParser {
+    // Characters allowed between frets on a string line
+    static get TECHNIQUES() {
+        return '-|hpbrtsSHPBRT/\\~^v.()<>=*x ';
+    }
+
+    /**
+     * Parse either format (MusicXML if it starts with "<"). options:
+     * { strings, frets } of the instrument, used to reject targets it can't play.
+     * Throws TabParseError.
+     */
+    static parse(text, options) {
+        return text.trimStart().startsWith('<') ?
+            TabParser.parseMusicXml(text, options) :
+            TabParser.parseAscii(text, options);
+    }
+
+    static isStringLine(line) {
+        return /^\s*(?:[A-Ga-g][#b]?\d?\s*)?[|:]/.test(line) && (line.match(/-/g) || []).length >= 2;
+    }
+
+    static parseAscii(text, { strings, frets }) {
+        const lines = text.split(/\r?\n/);
+        const targets = [];
+        let block = [];
+
+        const finishBlock = () => {
+            if (block.length === 0) return;
+            if (block.length !== strings) {
+                throw new TabParseError(`Tab block has ${block.length} string lines, ` +
+                                        `the instrument has ${strings} strings`, block[0].number, 1);
+            }
+
+            const notes = [];
+            block.forEach((line, string) => {
+                notes.push(...TabParser.readStringLine(line, string, frets));
+            });
+            notes.sort((a, b) => a.offset - b.offset || b.string - a.string);
+            targets.push(...notes.map(n => ({ string: n.string, fret: n.fret })));
+            block = [];
+        };
+
+        lines.forEach((text, i) => {
+            if (TabParser.isStringLine(text)) {
+                block.push({ text: text, number: i + 1 });
+            } else {
+                finishBlock();
+            }
+        });
+        finishBlock();
+
+        if (targets.length === 0) {
+            throw new TabParseError('No notes found; string lines look like "e|--0--3--|"', 1, 1);
+        }
+        return targets;
+    }
+
+    // Frets on one string line, with their column measured from the line's first bar
+    static readStringLine(line, string, frets) {
+        const text = line.text;
+        const start = text.search(/[|:]/);
+        const lastBar = Math.max(text.lastIndexOf('|'), text.lastIndexOf(':'));
+        const end = lastBar > start ? lastBar : text.length;
+
+        const notes = [];
+        for (let i = start + 1; i < end; i++) {
+            const char = text[i];
+            if (/\d/.test(char)) {
+                let digits = char;
+                while (i + 1 < end && /\d/.test(text[i + 1])) {
+                    digits += text[++i];
+                }
+                const column = i - digits.length + 2;
+                const fret = parseInt(digits, 10);
+                if (digits.length > 2 || fret > frets) {
+                    throw new TabParseError(`Fret ${digits} is past the last fret (${frets})`, line.number, column);
+                }
+                notes.push({ string: string, fret: fret, offset: column - start });
+            } else if (!TabParser.TECHNIQUES.includes(char)) {
+                throw new TabParseError(`Unexpected "${char}" on a string line`, line.number, i + 1);
+            }
+        }
+        return notes;
+    }
+
+    static parseMusicXml(text, { strings, frets }) {
+        if (!/<score-partwise[\s>]/.test(text)) {
+            const where = TabParser.locate(text, Math.max(0, text.indexOf('<score-timewise')));
+            throw new TabParseError('Not a partwise MusicXML score (expected <score-partwise>)', where.line, where.column);
+        }
+
+        const targets = [];
+        let tabStaff = null; // { part, staff } of the first note with tab data
+        const partPattern = /<part(\s[^>]*)?>([\s\S]*?)<\/part>/g;
+        let part;
+        while ((part = partPattern.exec(text)) !== null) {
+            const partId = (/id="([^"]*)"/.exec(part[1] || '') || [])[1] || null;
+            const bodyStart = part.index + part[0].indexOf('>') + 1;
+
+            const notePattern = /<note\b[^>]*>([\s\S]*?)<\/note>/g;
+            let match;
+            while ((match = notePattern.exec(part[2])) !== null) {
+                const body = match[1];
+                // Only located when the note is an error, so a long score stays linear
+                const fail = (message) => {
+                    const where = TabParser.locate(text, bodyStart + match.index);
+                    return new TabParseError(message, where.line, where.column);
+                };
+                const string = /<string>\s*(\d+)\s*<\/string>/.exec(body);
+                const fret = /<fret>\s*(\d+)\s*<\/fret>/.exec(body);
+
+                if (!string && !fret) continue; // A note on a standard staff
+                if (!string || !fret) {
+                    throw fail(`Tab note has ${string ? 'a string but no fret' : 'a fret but no string'}`);
+                }
+
+                const staff = (/<staff>\s*(\d+)\s*<\/staff>/.exec(body) || [])[1] || null;
+                if (!tabStaff) {
+                    tabStaff = { part: partId, staff };
+                } else if (tabStaff.part !== partId || tabStaff.staff !== staff) {
+                    continue; // Another tab staff doubling the first one
+                }
+
+                if (/<rest\b/.test(body) || /<tied?\s+type="stop"/.test(body)) continue;
+
+                const number = parseInt(string[1], 10);
+                const fretNumber = parseInt(fret[1], 10);
+                if (number < 1 || number > strings) {
+                    throw fail(`String ${number} doesn't exist on a ${strings}-string instrument`);
+                }
+                if (fretNumber > frets) {
+                    throw fail(`Fret ${fretNumber} is past the last fret (${frets})`);
+                }
+                targets.push({ string: number - 1, fret: fretNumber });
+            }
+        }
+
+        if (targets.length === 0) {
+            throw new TabParseError('No tab notes found; the score needs a tab staff (notes with <string> and <fret>)', 1, 1);
+        }
+        return targets;
+    }
+
+    // 1-based line and column of a character index
+    static locate(text, index) {
+        const before = text.slice(0, index);
+        const lineStart = before.lastIndexOf('\n') + 1;
+        return { line: before.split('\n').length, column: index - lineStart + 1 };
+    }
+
+    // <work-title> or <movement-title> of a MusicXML score, or null
+    static getTitle(text) {
+        const match = /<(?:work-title|movement-title)>([^<]+)<\//.exec(text);
+        return match ? match[1].trim() : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TabParser, TabParseError };
+}
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AudioDetector } = require('./helpers/load-detector');
+const { random, pluck } = require('./helpers/synth');
+
+const cents = (frequency, reference) => 1200 * Math.log2(frequency / reference);
+
+test('frequencyToNote names notes relative to A4', () => {
+    const detector = new AudioDetector();
+
+    const a4 = detector.frequencyToNote(440);
+    assert.equal(a4.name, 'A');
+    assert.equal(a4.octave, 4);
+    assert.equal(a4.midiNumber, 69);
+    assert.equal(a4.cents, 0);
+
+    const lowE = detector.frequencyToNote(82.41);
+    assert.equal(`${lowE.name}${lowE.octave}`, 'E2');
+
+    const sharp = detector.frequencyToNote(440 * Math.pow(2, 20 / 1200));
+    assert.equal(sharp.cents, 20);
+
+    detector.A4_FREQUENCY = 432;
+    assert.equal(detector.frequencyToNote(432).cents, 0);
+    assert.equal(detector.frequencyToNote(0), null);
+});
+
+test('FFT difference function matches the direct sum', () => {
+    const detector = new AudioDetector();
+    const next = random(7);
+
+    for (const size of [1024, 1000]) {
+        const frame = new Float32Array(size).map(() => next() * 2 - 1);
+        const fast = detector.differenceFunction(frame);
+        const direct = detector.differenceFunctionDirect(frame);
+
+        assert.equal(fast.length, direct.length);
+        for (let tau = 0; tau < direct.length; tau++) {
+            assert.ok(Math.abs(fast[tau] - direct[tau]) < 1e-6 * size, `d(${tau}) at size ${size}`);
+        }
+    }
+});
+
+test('yinPitch finds the fundamental of a sine and a plucked string', () => {
+    const detector = new AudioDetector();
+    const sampleRate = 48000;
+
+    const sine = new Float32Array(4096).map((_, n) => 0.5 * Math.sin(2 * Math.PI * 196 * n / sampleRate));
+    const fromSine = detector.yinPitch(sine, sampleRate);
+    assert.ok(Math.abs(cents(fromSine.frequency, 196)) < 5);
+    assert.ok(fromSine.confidence > 0.95);
+
+    const string = pluck(110, { sampleRate, duration: 0.3 }).subarray(4096, 8192);
+    const fromString = detector.yinPitch(string, sampleRate);
+    assert.ok(Math.abs(cents(fromString.frequency, 110)) < 10);
+});
+
+test('yinPitch rejects white noise', () => {
+    const detector = new AudioDetector();
+    const next = random(3);
+    const noise = new Float32Array(4096).map(() => 0.1 * (next() * 2 - 1));
+
+    assert.equal(detector.yinPitch(noise, 48000), null);
+});
+
+test('frame size grows so the lowest note fits twice', () => {
+    const detector = new AudioDetector();
+    detector.sampleRate = 48000;
+
+    detector.updateFrameSize();
+    assert.equal(detector.FRAME_SIZE, 4096);
+
+    detector.MIN_FREQUENCY = 28; // Below a 5-string bass's low B
+    detector.updateFrameSize();
+    assert.equal(detector.FRAME_SIZE, 8192);
+
+    detector.sampleRate = 22050;
+    detector.MIN_FREQUENCY = 50;
+    detector.updateFrameSize();
+    assert.equal(detector.FRAME_SIZE, 4096);
+});
+
+test('spectral flux measures rising energy only', () => {
+    const detector = new AudioDetector();
+    const quiet = new Uint8Array(8);
+    const loud = new Uint8Array(8).fill(255);
+
+    assert.equal(detector.calculateSpectralFlux(quiet), 0); // First frame has nothing to compare with
+    assert.ok(Math.abs(detector.calculateSpectralFlux(loud) - Math.sqrt(8)) < 1e-9);
+    assert.equal(detector.calculateSpectralFlux(quiet), 0);
+
+    // A different spectrum size (frame size change) starts over
+    assert.equal(detector.calculateSpectralFlux(new Uint8Array(16).fill(255)), 0);
+});
+
+test('unknown pitch algorithms fall back to YIN', () => {
+    const detector = new AudioDetector();
+
+    assert.equal(detector.setPitchAlgorithm('mpm'), 'mpm');
+    assert.equal(detector.getPitchAlgorithm().id, 'mpm');
+    assert.equal(detector.setPitchAlgorithm('crepe'), 'yin');
+    assert.equal(detector.getPitchAlgorithm().id, 'yin');
+});
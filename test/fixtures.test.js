@@ -0,0 +1,42 @@
+/**
+ * Detection on stored recordings. Each test/fixtures/<name>.wav has a
+ * <name>.json beside it listing the notes played:
+ *
+ *   {
+ *     "description": "What was played, on what, and how it was recorded",
+ *     "onsetTolerance": 0.3,          // Seconds, optional
+ *     "algorithms": ["yin", "mpm"],   // Optional, defaults to all
+ *     "notes": [{ "time": 0.3, "note": "E2" }, ...]
+ *   }
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { detectNotes, PITCH_ALGORITHMS } = require('./helpers/load-detector');
+const { readWav } = require('./helpers/wav');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const DEFAULT_ONSET_TOLERANCE = 0.3;
+
+const fixtures = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.wav')).sort();
+
+for (const file of fixtures) {
+    const base = path.join(FIXTURES, path.basename(file, '.wav'));
+    const expected = JSON.parse(fs.readFileSync(`${base}.json`, 'utf8'));
+    const algorithms = expected.algorithms || Object.keys(PITCH_ALGORITHMS);
+    const tolerance = expected.onsetTolerance ?? DEFAULT_ONSET_TOLERANCE;
+
+    for (const id of algorithms) {
+        test(`${file} with ${PITCH_ALGORITHMS[id].name}`, async () => {
+            const { samples, sampleRate } = readWav(path.join(FIXTURES, file));
+            const notes = await detectNotes(samples, sampleRate, id);
+
+            assert.deepEqual(notes.map(n => n.note), expected.notes.map(n => n.note));
+            notes.forEach((note, i) => {
+                const late = note.start - expected.notes[i].time;
+                assert.ok(late >= 0 && late <= tolerance, `${note.note} reported at ${note.start} s`);
+            });
+        });
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * Loads the detector's browser scripts into Node's global scope, in the same
+ * order as index.html, so AudioDetector and OfflineAnalyser run on plain
+ * Float32Array frames without Web Audio.
+ */
+const path = require('path');
+
+const root = path.join(__dirname, '..', '..');
+const load = (file) => require(path.join(root, file));
+
+global.FFT = load('fft.js');
+global.SpectrumAnalyser = load('spectrum-analyser.js');
+global.PolyphonicDetector = load('polyphonic-detector.js');
+global.PITCH_ALGORITHMS = load('pitch-algorithms.js').PITCH_ALGORITHMS;
+global.AudioDetector = load('audio-detector.js');
+global.OfflineAnalyser = load('offline-analyser.js');
+
+// Notes in mono samples, detected the way the app's "Analyse Recording" does
+async function detectNotes(samples, sampleRate, algorithm = 'yin') {
+    const detector = new AudioDetector();
+    detector.setPitchAlgorithm(algorithm);
+    return new OfflineAnalyser(detector.getConfig()).analyse(samples, sampleRate);
+}
+
+module.exports = {
+    detectNotes,
+    AudioDetector: global.AudioDetector,
+    OfflineAnalyser: global.OfflineAnalyser,
+    PITCH_ALGORITHMS: global.PITCH_ALGORITHMS,
+    FFT: global.FFT
+};
@@ -0,0 +1,117 @@
+/**
+ * Deterministic test signals: Karplus-Strong plucked strings with vibrato,
+ * damping and background noise.
+ */
+
+// Seeded PRNG (mulberry32) so every run renders the same samples
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function midiToFrequency(midiNumber, a4 = 440) {
+    return a4 * Math.pow(2, (midiNumber - 69) / 12);
+}
+
+/**
+ * One plucked string. A noise burst one period long circulates in a delay line
+ * with a two-point average, so upper harmonics die away faster than the
+ * fundamental. pluckPosition (0-0.5 of the string) notches harmonics the way
+ * plucking near the bridge or the neck does; brightness (0-1) low-passes the
+ * burst; vibrato is { rate (Hz), depth (cents) }; sustain is the T60 in seconds.
+ */
+function pluck(frequency, options = {}) {
+    const {
+        sampleRate = 48000,
+        duration = 1.5,
+        amplitude = 0.5,
+        pluckPosition = 0.2,
+        brightness = 0.7,
+        sustain = 3,
+        vibrato = null,
+        seed = 1
+    } = options;
+
+    const next = random(seed);
+    const period = Math.round(sampleRate / frequency);
+
+    // Excitation: filtered noise, then a comb for the pluck position
+    const noise = new Float64Array(period);
+    let previous = 0;
+    for (let i = 0; i < period; i++) {
+        previous = brightness * (next() * 2 - 1) + (1 - brightness) * previous;
+        noise[i] = previous;
+    }
+    const offset = Math.max(1, Math.round(pluckPosition * period));
+    const burst = noise.map((value, i) => value - (i >= offset ? noise[i - offset] : 0));
+    const peak = burst.reduce((max, value) => Math.max(max, Math.abs(value)), 0) || 1;
+
+    const length = Math.round(duration * sampleRate);
+    const y = new Float64Array(length);
+    const read = (position) => {
+        const i = Math.floor(position);
+        const frac = position - i;
+        const a = i >= 0 ? y[i] : 0;
+        const b = i + 1 >= 0 ? y[i + 1] : 0;
+        return a + (b - a) * frac;
+    };
+
+    for (let n = 0; n < length; n++) {
+        let f = frequency;
+        if (vibrato) {
+            f *= Math.pow(2, vibrato.depth * Math.sin(2 * Math.PI * vibrato.rate * n / sampleRate) / 1200);
+        }
+        // Loop gain for a T60 of `sustain` seconds; the average adds half a sample of delay
+        const gain = Math.pow(10, -3 / (sustain * f));
+        const delay = sampleRate / f - 0.5;
+        const looped = 0.5 * (read(n - delay) + read(n - delay - 1));
+        y[n] = (n < period ? burst[n] / peak : 0) + gain * looped;
+    }
+
+    const out = new Float32Array(length);
+    for (let n = 0; n < length; n++) {
+        out[n] = amplitude * y[n];
+    }
+    return out;
+}
+
+/**
+ * Mix notes into one recording. Each note is { time, midiNumber, length } plus
+ * pluck options; it is damped (10 ms fade) after `length` seconds.
+ * noise is the RMS level of white background noise.
+ */
+function render(notes, { sampleRate = 48000, duration, noise = 0.0005, seed = 99 } = {}) {
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    const fade = Math.round(0.01 * sampleRate);
+
+    notes.forEach((note, index) => {
+        const { time, midiNumber, length = 1.5, ...options } = note;
+        const sound = pluck(midiToFrequency(midiNumber), {
+            seed: index + 1,
+            ...options,
+            sampleRate,
+            duration: length + 0.01
+        });
+        const start = Math.round(time * sampleRate);
+        const end = Math.round(length * sampleRate);
+        for (let i = 0; i < sound.length && start + i < samples.length; i++) {
+            const damping = i < end ? 1 : Math.max(0, 1 - (i - end) / fade);
+            samples[start + i] += sound[i] * damping;
+        }
+    });
+
+    // Uniform noise scaled to the requested RMS
+    const next = random(seed);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] += noise * Math.sqrt(3) * (next() * 2 - 1);
+    }
+    return samples;
+}
+
+module.exports = { random, midiToFrequency, pluck, render };
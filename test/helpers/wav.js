@@ -0,0 +1,72 @@
+/**
+ * Minimal RIFF/WAVE reader for fixture recordings: 8/16/24/32-bit PCM and
+ * 32-bit float, mixed down to mono. Node has no decodeAudioData, and fixtures
+ * don't need resampling because OfflineAnalyser runs at any sample rate.
+ */
+const fs = require('fs');
+
+function readWav(file) {
+    const buffer = fs.readFileSync(file);
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error(`${file}: not a WAV file`);
+    }
+
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            format = {
+                audioFormat: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+            if (format.audioFormat === 0xFFFE) {
+                format.audioFormat = buffer.readUInt16LE(body + 24);
+            }
+        } else if (id === 'data') {
+            data = buffer.subarray(body, Math.min(body + size, buffer.length));
+        }
+        offset = body + size + (size % 2); // Chunks are word-aligned
+    }
+
+    if (!format || !data) {
+        throw new Error(`${file}: missing fmt or data chunk`);
+    }
+
+    const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+    const bytes = bitsPerSample / 8;
+    let readSample;
+    if (audioFormat === 3 && bitsPerSample === 32) {
+        readSample = (i) => data.readFloatLE(i);
+    } else if (audioFormat === 1 && bitsPerSample === 8) {
+        readSample = (i) => (data.readUInt8(i) - 128) / 128;
+    } else if (audioFormat === 1 && bitsPerSample === 16) {
+        readSample = (i) => data.readInt16LE(i) / 32768;
+    } else if (audioFormat === 1 && bitsPerSample === 24) {
+        readSample = (i) => data.readIntLE(i, 3) / 8388608;
+    } else if (audioFormat === 1 && bitsPerSample === 32) {
+        readSample = (i) => data.readInt32LE(i) / 2147483648;
+    } else {
+        throw new Error(`${file}: unsupported format ${audioFormat} (${bitsPerSample}-bit)`);
+    }
+
+    const length = Math.floor(data.length / (bytes * channels));
+    const samples = new Float32Array(length);
+    for (let n = 0; n < length; n++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) {
+            sum += readSample((n * channels + c) * bytes);
+        }
+        samples[n] = sum / channels;
+    }
+
+    return { samples, sampleRate, duration: length / sampleRate };
+}
+
+module.exports = { readWav };
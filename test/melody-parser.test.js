@@ -0,0 +1,230 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const load = (file) => require(path.join(root, file));
+
+// MelodyParser reports MusicXML errors with TabParser's line and column
+Object.assign(global, load('tab-parser.js'));
+const { MelodyParser, MelodyParseError } = load('melody-parser.js');
+const Tuning = load('tuning.js');
+const Fretboard = load('fretboard.js');
+
+// ===== MIDI fixtures, built byte by byte =====
+
+function variable(value) {
+    const bytes = [value & 0x7f];
+    while ((value >>= 7) > 0) {
+        bytes.unshift((value & 0x7f) | 0x80);
+    }
+    return bytes;
+}
+
+function chunk(id, data) {
+    const length = data.length;
+    return [...Buffer.from(id, 'ascii'), length >>> 24, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff, ...data];
+}
+
+// events: [delta, ...bytes]; an end-of-track event is added
+function track(...events) {
+    return chunk('MTrk', [...events.flatMap(([delta, ...bytes]) => [...variable(delta), ...bytes]), 0, 0xff, 0x2f, 0]);
+}
+
+function midiFile(format, ...tracks) {
+    return Uint8Array.from([...chunk('MThd', [0, format, 0, tracks.length, 0x01, 0xe0]), ...tracks.flat()]);
+}
+
+function parseMidiError(bytes) {
+    try {
+        MelodyParser.parseMidi(bytes);
+    } catch (error) {
+        assert.ok(error instanceof MelodyParseError, `${error.name}: ${error.message}`);
+        return error;
+    }
+    assert.fail('parsed without an error');
+}
+
+test('MIDI notes with running status, velocity-0 note-offs and drums on channel 10', () => {
+    const bytes = midiFile(0, track(
+        [0, 0xc0, 25],               // Program change: one data byte
+        [0, 0x99, 36, 100],          // Kick drum on channel 10
+        [0, 0x90, 60, 90],
+        [480, 60, 0],                // Running status: note on with velocity 0 is a note off
+        [0, 62, 90],
+        [480, 0x80, 62, 64],
+        [0, 64, 90],                 // Running status after a real note off is a note off too
+        [0, 0xb0, 64, 127],          // Sustain pedal
+        [0, 0x90, 65, 90],
+        [480, 0x99, 38, 100],        // Snare
+        [0, 0x90, 67, 80],
+        [480, 67, 0]
+    ));
+
+    assert.deepEqual(MelodyParser.parseMidi(bytes), [60, 62, 65, 67]);
+});
+
+test('MIDI melody comes from the first track with notes, skipping a tempo track', () => {
+    const tempo = track(
+        [0, 0xff, 0x03, 4, ...Buffer.from('Song')],
+        [0, 0xff, 0x51, 3, 0x07, 0xa1, 0x20],
+        [0, 0xff, 0x58, 4, 4, 2, 24, 8]
+    );
+    const melody = track([0, 0xf0, 3, 0x7e, 0x7f, 0xf7], [0, 0x91, 69, 100], [240, 0x81, 69, 0], [0, 0x91, 71, 100]);
+    const bass = track([0, 0x92, 45, 100]);
+    const unknown = chunk('XFIH', [1, 2, 3]);
+
+    assert.deepEqual(MelodyParser.parseMidi(midiFile(1, tempo, unknown, melody, bass)), [69, 71]);
+});
+
+test('MIDI chords keep their top note', () => {
+    const bytes = midiFile(0, track(
+        [0, 0x90, 48, 90], [0, 0x90, 64, 90], [0, 0x90, 55, 90],
+        [480, 0x90, 62, 90],
+        [480, 0x90, 67, 90], [0, 0x90, 59, 90]
+    ));
+
+    assert.deepEqual(MelodyParser.parseMidi(bytes), [64, 62, 67]);
+});
+
+test('broken MIDI files are MelodyParseErrors with a byte offset', () => {
+    const error = parseMidiError(Uint8Array.from([0x52, 0x49, 0x46, 0x46, 0, 0, 0, 0]));
+    assert.equal(error.offset, 0);
+    assert.match(error.message, /^Byte 0: Not a standard MIDI file/);
+
+    const whole = midiFile(0, track([0, 0x90, 60, 90], [480, 0x80, 60, 0]));
+    assert.match(parseMidiError(whole.slice(0, whole.length - 6)).message, /Track runs past the end of the file/);
+    assert.match(parseMidiError(whole.slice(0, 12)).message, /Unexpected end of file/);
+
+    // A data byte before any status byte
+    assert.match(parseMidiError(midiFile(0, chunk('MTrk', [0, 60, 90]))).message, /^Byte 23: Data byte without a status byte/);
+
+    // Only drums
+    assert.match(parseMidiError(midiFile(0, track([0, 0x99, 36, 100]))).message, /No notes found/);
+});
+
+// ===== MusicXML =====
+
+function score(attributes, notes) {
+    return '<?xml version="1.0"?>\n<score-partwise version="3.1">\n' +
+           '<part-list><score-part id="P1"><part-name>Guitar</part-name></score-part></part-list>\n' +
+           `<part id="P1">\n<measure number="1">\n<attributes>${attributes}</attributes>\n${notes.join('\n')}\n</measure>\n</part>\n` +
+           '</score-partwise>\n';
+}
+
+function note(step, octave, extra = '') {
+    const alter = step.length > 1 ? `<alter>${step[1] === '#' ? 1 : -1}</alter>` : '';
+    return `<note><pitch><step>${step[0]}</step>${alter}<octave>${octave}</octave></pitch>${extra}</note>`;
+}
+
+test('MusicXML melodies keep the top note of chords and skip rests, ties and other voices', () => {
+    const text = score('', [
+        note('C', 4, '<voice>1</voice>'),
+        note('E', 4, '<chord/><voice>1</voice>'),
+        note('G', 4, '<chord/><voice>1</voice>'),
+        '<note><rest/><voice>1</voice></note>',
+        note('F#', 4, '<voice>1</voice><tie type="start"/>'),
+        note('F#', 4, '<voice>1</voice><tie type="stop"/>'),
+        '<backup><duration>8</duration></backup>',
+        note('C', 3, '<voice>2</voice>'),
+        note('Bb', 4, '<voice>1</voice><cue/>'),
+        note('Bb', 4, '<voice>1</voice>')
+    ]);
+
+    assert.ok(MelodyParser.isMelodyXml(text));
+    assert.deepEqual(MelodyParser.parseMusicXml(text), [67, 66, 70]);
+});
+
+test('MusicXML is read at sounding pitch through <transpose> or an octave clef', () => {
+    const notes = [note('E', 4), note('A', 4)];
+    const clef = '<clef><sign>G</sign><line>2</line><clef-octave-change>-1</clef-octave-change></clef>';
+
+    assert.deepEqual(MelodyParser.parseMusicXml(score('', notes)), [64, 69]);
+    assert.deepEqual(MelodyParser.parseMusicXml(score(clef, notes)), [52, 57]);
+
+    // A B-flat instrument: written a major 2nd above its sound
+    const bFlat = '<transpose><diatonic>-1</diatonic><chromatic>-2</chromatic></transpose>';
+    assert.deepEqual(MelodyParser.parseMusicXml(score(bFlat, notes)), [62, 67]);
+
+    // <transpose> already says how the part sounds, so the clef's 8 isn't applied twice
+    const guitar = '<transpose><diatonic>0</diatonic><chromatic>0</chromatic><octave-change>-1</octave-change></transpose>';
+    assert.deepEqual(MelodyParser.parseMusicXml(score(guitar + clef, notes)), [52, 57]);
+});
+
+test('MusicXML with tab is left to the tab parser', () => {
+    const tab = score('', [note('E', 4, '<notations><technical><string>1</string><fret>0</fret></technical></notations>')]);
+    assert.ok(!MelodyParser.isMelodyXml(tab));
+    assert.ok(!MelodyParser.isMelodyXml('e|--0--|'));
+});
+
+test('MusicXML melody errors name the line and column', () => {
+    const text = score('', [note('C', 4), '<note><pitch><octave>4</octave></pitch></note>']);
+    assert.throws(() => MelodyParser.parseMusicXml(text), (error) => {
+        assert.ok(error instanceof TabParseError);
+        assert.equal(error.line, 8);
+        assert.equal(error.column, 1);
+        assert.match(error.message, /Pitch needs a <step>/);
+        return true;
+    });
+    assert.throws(() => MelodyParser.parseMusicXml(score('', ['<note><rest/></note>'])), /No pitched notes found/);
+});
+
+test('melodies move by the fewest octaves that fit the range', () => {
+    assert.equal(MelodyParser.getOctaveShift([52, 64], 40, 86), 0);
+    assert.equal(MelodyParser.getOctaveShift([88, 96], 40, 86), -12);
+    assert.equal(MelodyParser.getOctaveShift([30, 40], 40, 86), 12);
+    assert.equal(MelodyParser.getOctaveShift([16, 20], 40, 86), 24);
+    assert.equal(MelodyParser.getOctaveShift([30, 90], 40, 86), null);
+});
+
+// ===== Fingering =====
+
+// A Fretboard without a canvas; the position finders only need the tuning
+function fretboard(preset = 'standard', numFrets = 22) {
+    const board = Object.create(Fretboard.prototype);
+    board.chromaticNotes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    board.numFrets = numFrets;
+    board.setTuning(Tuning.fromPreset(preset), false);
+    return board;
+}
+
+function fretted(fingering) {
+    return fingering.filter(p => p.fret > 0).map(p => p.fret);
+}
+
+test('a scale is fingered in one position without shifts', () => {
+    const board = fretboard();
+
+    // C major from C3 in open position
+    assert.deepEqual(board.findFingering([48, 50, 52, 53, 55, 57, 59, 60]), [
+        { string: 4, fret: 3 }, { string: 3, fret: 0 }, { string: 3, fret: 2 }, { string: 3, fret: 3 },
+        { string: 2, fret: 0 }, { string: 2, fret: 2 }, { string: 1, fret: 0 }, { string: 1, fret: 1 }
+    ]);
+
+    // Two octaves of A minor pentatonic from the 5th fret, up and back down
+    const run = [45, 48, 50, 52, 55, 57, 60, 62, 64, 67, 69];
+    const fingering = board.findFingering(run.concat(run.slice(0, -1).reverse()));
+    fingering.forEach((p, i) => assert.equal(board.getMidiAt(p.string, p.fret), run.concat(run.slice(0, -1).reverse())[i]));
+    const frets = fretted(fingering);
+    assert.ok(Math.max(...frets) - Math.min(...frets) < 4, `frets ${frets.join(' ')}`);
+});
+
+test('a melody high on the neck stays in one position', () => {
+    const ode = [76, 76, 77, 79, 79, 77, 76, 74, 72, 72, 74, 76, 76, 74, 74];
+    const fingering = fretboard().findFingering(ode);
+    const frets = fretted(fingering);
+
+    assert.ok(Math.min(...frets) >= 12 && Math.max(...frets) <= 15, `frets ${frets.join(' ')}`);
+    assert.deepEqual(fingering.slice(0, 4), [{ string: 0, fret: 12 }, { string: 0, fret: 12 }, { string: 0, fret: 13 }, { string: 0, fret: 15 }]);
+});
+
+test('fingering follows the tuning and the last fret', () => {
+    // Drop D: the low D is the open 6th string
+    assert.deepEqual(fretboard('dropD').findFingering([38]), [{ string: 5, fret: 0 }]);
+
+    const board = fretboard('standard', 12);
+    assert.equal(board.findFingering([40, 88]), null);
+    assert.deepEqual(board.findFingering([88], 24), [{ string: 0, fret: 24 }]);
+    assert.deepEqual(board.findFingering([]), []);
+    assert.deepEqual(board.getMidiRange(), { lowest: 40, highest: 76 });
+});
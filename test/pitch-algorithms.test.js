@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AudioDetector, PITCH_ALGORITHMS } = require('./helpers/load-detector');
+const { random, midiToFrequency, pluck } = require('./helpers/synth');
+
+const SAMPLE_RATE = 48000;
+const FRAME_SIZE = 4096;
+
+// One frame from 50 ms into a pluck, after the excitation has settled into a period
+function pluckFrame(midiNumber, options = {}) {
+    const sound = pluck(midiToFrequency(midiNumber), { sampleRate: SAMPLE_RATE, duration: 0.2, ...options });
+    const start = Math.round(0.05 * SAMPLE_RATE);
+    return sound.slice(start, start + FRAME_SIZE);
+}
+
+// Run a few frames so stateful algorithms (pYIN's tracker) settle
+function estimate(id, frame) {
+    const detector = new AudioDetector();
+    const algorithm = PITCH_ALGORITHMS[id].create(detector);
+    const freqBuffer = new Uint8Array(FRAME_SIZE / 2);
+    let result = null;
+    for (let i = 0; i < 5; i++) {
+        result = algorithm.estimate(frame, freqBuffer, SAMPLE_RATE);
+    }
+    return result;
+}
+
+for (const id of Object.keys(PITCH_ALGORITHMS)) {
+    test(`${PITCH_ALGORITHMS[id].name} finds the fundamental across the neck`, () => {
+        for (const midiNumber of [40, 45, 52, 57, 64, 69, 76, 84]) {
+            for (const options of [{ pluckPosition: 0.12, brightness: 0.9 }, { pluckPosition: 0.3, brightness: 0.4 }]) {
+                const result = estimate(id, pluckFrame(midiNumber, options));
+                assert.ok(result, `no pitch for MIDI ${midiNumber}`);
+
+                const error = 1200 * Math.log2(result.frequency / midiToFrequency(midiNumber));
+                assert.ok(Math.abs(error) < 25, `MIDI ${midiNumber}: ${result.frequency.toFixed(1)} Hz`);
+                assert.ok(result.confidence > 0 && result.confidence <= 1);
+            }
+        }
+    });
+
+    test(`${PITCH_ALGORITHMS[id].name} finds no confident pitch in noise`, () => {
+        const detector = new AudioDetector();
+        const next = random(11);
+        const noise = new Float32Array(FRAME_SIZE).map(() => 0.1 * (next() * 2 - 1));
+        const result = estimate(id, noise);
+
+        assert.ok(!result || 1 - result.confidence >= detector.YIN_THRESHOLD,
+                  `noise read as ${result && result.frequency.toFixed(1)} Hz`);
+    });
+}
@@ -0,0 +1,95 @@
+/**
+ * End-to-end detection on synthesised guitar signals: the same frames, spectrum
+ * and note state machine as live detection (via OfflineAnalyser), for every
+ * pitch algorithm. These pin down what threshold or algorithm changes must keep
+ * working: note names, onsets and octave errors.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectNotes, PITCH_ALGORITHMS } = require('./helpers/load-detector');
+const { render } = require('./helpers/synth');
+
+const SAMPLE_RATE = 48000;
+const ONSET_TOLERANCE = 0.25; // Seconds from pluck to first report (attack hysteresis + stable pitch)
+const OCTAVE_ERROR_BUDGET = 0; // Share of plucks reported an octave (or more) off
+
+// Open strings and fretted notes from E2 to C6, plucked near the bridge and mid-string
+const RANGE = [40, 45, 50, 55, 59, 64, 69, 76, 52, 57, 62, 67, 71, 74, 79, 84];
+const PLUCKS = [{ pluckPosition: 0.12, brightness: 0.9 }, { pluckPosition: 0.3, brightness: 0.4 }];
+
+const names = (notes) => notes.map(n => n.note);
+
+for (const [id, { name }] of Object.entries(PITCH_ALGORITHMS)) {
+    test(`${name}: single plucks across the range`, async () => {
+        let octaveErrors = 0;
+        const failures = [];
+
+        for (const midiNumber of RANGE) {
+            for (const options of PLUCKS) {
+                const samples = render([{ time: 0.3, midiNumber, length: 1.2, ...options }],
+                                       { sampleRate: SAMPLE_RATE, duration: 1.8 });
+                const notes = await detectNotes(samples, SAMPLE_RATE, id);
+                const hit = notes.find(n => n.midiNumber === midiNumber);
+
+                if (notes.some(n => n.midiNumber !== midiNumber && (n.midiNumber - midiNumber) % 12 === 0)) {
+                    octaveErrors++;
+                }
+                if (!hit) {
+                    failures.push(`${midiNumber}: ${names(notes).join(' ') || 'nothing'}`);
+                } else {
+                    assert.ok(hit.start >= 0.3 && hit.start - 0.3 <= ONSET_TOLERANCE,
+                              `MIDI ${midiNumber} onset at ${hit.start} s`);
+                    assert.ok(Math.abs(hit.cents) <= 10, `MIDI ${midiNumber} is ${hit.cents} cents out`);
+                }
+                if (notes.length > 1) {
+                    failures.push(`${midiNumber} split: ${names(notes).join(' ')}`);
+                }
+            }
+        }
+
+        const plucks = RANGE.length * PLUCKS.length;
+        assert.ok(octaveErrors / plucks <= OCTAVE_ERROR_BUDGET, `${octaveErrors}/${plucks} octave errors`);
+        assert.deepEqual(failures, []);
+    });
+
+    test(`${name}: vibrato stays one note`, async () => {
+        const samples = render([{ time: 0.3, midiNumber: 55, length: 2, vibrato: { rate: 5.5, depth: 30 } }],
+                               { sampleRate: SAMPLE_RATE, duration: 2.6 });
+        assert.deepEqual(names(await detectNotes(samples, SAMPLE_RATE, id)), ['G3']);
+    });
+
+    test(`${name}: background noise alone is not a note`, async () => {
+        const samples = render([], { sampleRate: SAMPLE_RATE, duration: 2, noise: 0.006 });
+        assert.deepEqual(await detectNotes(samples, SAMPLE_RATE, id), []);
+    });
+
+    test(`${name}: notes in a noisy room`, async () => {
+        // About 20 dB above the noise; the first note never decays to silence,
+        // so the second must not inherit it
+        const samples = render([
+            { time: 0.3, midiNumber: 52, length: 1.2 },
+            { time: 1.8, midiNumber: 64, length: 1.2 }
+        ], { sampleRate: SAMPLE_RATE, duration: 3.3, noise: 0.006 });
+        assert.deepEqual(names(await detectNotes(samples, SAMPLE_RATE, id)), ['E3', 'E4']);
+    });
+
+    test(`${name}: fast repeated notes`, async () => {
+        // Same fret picked every half second, damped 200 ms between picks
+        const repeats = Array.from({ length: 5 }, (_, i) => ({ time: 0.3 + i * 0.5, midiNumber: 57, length: 0.3 }));
+        const samples = render(repeats, { sampleRate: SAMPLE_RATE, duration: 3 });
+        const notes = await detectNotes(samples, SAMPLE_RATE, id);
+
+        assert.deepEqual(names(notes), ['A3', 'A3', 'A3', 'A3', 'A3']);
+        notes.forEach((note, i) => {
+            assert.ok(note.start - repeats[i].time <= ONSET_TOLERANCE, `repeat ${i + 1} onset at ${note.start} s`);
+        });
+    });
+
+    test(`${name}: staccato run`, async () => {
+        const run = [45, 47, 49, 51, 53, 55].map((midiNumber, i) => ({ time: 0.3 + i * 0.4, midiNumber, length: 0.3 }));
+        const samples = render(run, { sampleRate: SAMPLE_RATE, duration: 3 });
+        const notes = await detectNotes(samples, SAMPLE_RATE, id);
+
+        assert.deepEqual(notes.map(n => n.midiNumber), run.map(n => n.midiNumber));
+    });
+}
@@ -0,0 +1,144 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TabParser, TabParseError } = require('../tab-parser.js');
+
+const GUITAR = { strings: 6, frets: 24 };
+
+// Six string lines, highest first; missing strings are empty
+function tab(...lines) {
+    const names = ['e', 'B', 'G', 'D', 'A', 'E'];
+    const width = Math.max(...lines.map(l => l.length));
+    return names.map((name, i) => `${name}|${(lines[i] || '').padEnd(width, '-')}|`).join('\n');
+}
+
+function parseError(text, options = GUITAR) {
+    try {
+        TabParser.parse(text, options);
+    } catch (error) {
+        assert.ok(error instanceof TabParseError, `${error.name}: ${error.message}`);
+        return error;
+    }
+    assert.fail('parsed without an error');
+}
+
+test('notes in the same column are played thickest string first', () => {
+    const targets = TabParser.parse(tab('---0--', '---1--', '------', '--2---', '---3--'), GUITAR);
+    assert.deepEqual(targets, [
+        { string: 3, fret: 2 },
+        { string: 4, fret: 3 },
+        { string: 1, fret: 1 },
+        { string: 0, fret: 0 }
+    ]);
+});
+
+test('a two-digit fret is placed at the column of its first digit', () => {
+    // 12 and 10 start in the same column as the 3; 14 starts after it
+    const targets = TabParser.parse(tab('--12--14-', '--3------', '--10-----'), GUITAR);
+    assert.deepEqual(targets, [
+        { string: 2, fret: 10 },
+        { string: 1, fret: 3 },
+        { string: 0, fret: 12 },
+        { string: 0, fret: 14 }
+    ]);
+});
+
+test('blocks are read in order and text around them is skipped', () => {
+    const text = `Intro\n${tab('-0-')}\n\nVerse x2\n${tab('-1-')} x4\n`;
+    assert.deepEqual(TabParser.parse(text, GUITAR), [{ string: 0, fret: 0 }, { string: 0, fret: 1 }]);
+});
+
+test('techniques between frets are skipped', () => {
+    const targets = TabParser.parse(tab('-5h7p5-', '-x-----', '-7/9~--'), GUITAR);
+    assert.deepEqual(targets.map(t => `${t.string}:${t.fret}`), ['2:7', '0:5', '2:9', '0:7', '0:5']);
+});
+
+test('an unexpected character names its line and column', () => {
+    const error = parseError(`Riff\n${tab('--0--', '--q--')}`);
+    assert.equal(error.line, 3);
+    assert.equal(error.column, 5);
+    assert.match(error.message, /^Line 3, column 5: Unexpected "q"/);
+});
+
+test('a fret past the last one names the line and column of its first digit', () => {
+    const error = parseError(tab('------', '---25-'));
+    assert.equal(error.line, 2);
+    assert.equal(error.column, 6);
+    assert.match(error.message, /Fret 25 is past the last fret \(24\)/);
+
+    // Fine on an instrument with more frets, not on one with fewer
+    assert.doesNotThrow(() => TabParser.parse(tab('---12-'), { strings: 6, frets: 12 }));
+    assert.equal(parseError(tab('---13-'), { strings: 6, frets: 12 }).column, 6);
+});
+
+test('a block with the wrong number of strings is an error at its first line', () => {
+    const error = parseError('Intro\ne|--0--|\nB|--1--|\nG|--0--|\nD|--2--|');
+    assert.equal(error.line, 2);
+    assert.equal(error.column, 1);
+    assert.match(error.message, /Tab block has 4 string lines, the instrument has 6 strings/);
+
+    // The same block is a whole tab on a 4-string bass
+    assert.equal(TabParser.parse('G|--0--|\nD|--1--|\nA|--0--|\nE|--2--|', { strings: 4, frets: 20 }).length, 4);
+});
+
+test('text without string lines has no notes', () => {
+    assert.match(parseError('just some words').message, /^Line 1, column 1: No notes found/);
+});
+
+// MusicXML around a part list and one or more <part> bodies
+function score(...parts) {
+    return '<?xml version="1.0"?>\n<score-partwise version="3.1">\n' +
+           '<work><work-title>Etude</work-title></work>\n' +
+           '<part-list><score-part id="P1"><part-name>Guitar</part-name></score-part></part-list>\n' +
+           parts.map((body, i) => `<part id="P${i + 1}">\n<measure number="1">\n${body}\n</measure>\n</part>`).join('\n') +
+           '\n</score-partwise>\n';
+}
+
+function tabNote(string, fret, extra = '') {
+    return `<note><pitch><step>E</step><octave>4</octave></pitch>${extra}` +
+           `<notations><technical><string>${string}</string><fret>${fret}</fret></technical></notations></note>`;
+}
+
+test('MusicXML tab skips rests and tied continuations', () => {
+    const text = score([
+        tabNote(1, 0, '<tie type="start"/>'),
+        tabNote(1, 0, '<tie type="stop"/>'),
+        '<note><rest/><duration>4</duration></note>',
+        tabNote(2, 3),
+        tabNote(2, 3).replace('<notations>', '<notations><tied type="stop"/>'),
+        tabNote(6, 12)
+    ].join('\n'));
+
+    assert.deepEqual(TabParser.parse(text, GUITAR), [
+        { string: 0, fret: 0 },
+        { string: 1, fret: 3 },
+        { string: 5, fret: 12 }
+    ]);
+    assert.equal(TabParser.getTitle(text), 'Etude');
+});
+
+test('MusicXML tab reads only the first tab staff', () => {
+    // Staff 1 is standard notation, staff 2 the tab; a second part doubles it
+    const text = score(
+        [
+            '<note><pitch><step>C</step><octave>5</octave></pitch><staff>1</staff></note>',
+            tabNote(2, 1, '<staff>2</staff>'),
+            tabNote(1, 5, '<staff>3</staff>'),
+            tabNote(3, 0, '<staff>2</staff>')
+        ].join('\n'),
+        tabNote(4, 7)
+    );
+
+    assert.deepEqual(TabParser.parse(text, GUITAR), [{ string: 1, fret: 1 }, { string: 2, fret: 0 }]);
+});
+
+test('MusicXML tab errors name the line and column of the note', () => {
+    const text = score([tabNote(1, 0), tabNote(7, 2)].join('\n'));
+    const error = parseError(text);
+    assert.equal(error.line, text.split('\n').findIndex(l => l.includes('<string>7')) + 1);
+    assert.equal(error.column, 1);
+    assert.match(error.message, /String 7 doesn't exist on a 6-string instrument/);
+
+    assert.match(parseError(score(tabNote(1, 25))).message, /Fret 25 is past the last fret/);
+    assert.match(parseError('<score-timewise></score-timewise>').message, /Not a partwise MusicXML score/);
+    assert.match(parseError(score('<note><rest/></note>')).message, /No tab notes found/);
+});
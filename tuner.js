@@ -0,0 +1,203 @@
+// Chromatic tuner: smoothed cents needle with in-tune indication
+// Without a target string the needle shows the offset from the nearest note;
+// with one it shows the offset from that open string in the active tuning.
+class Tuner {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.tuning = null;
+        this.a4Frequency = 440;
+        this.targetString = null; // String index (0 is the highest), null for chromatic
+
+        // Latest reading: { label, frequency, targetFrequency, cents }
+        this.reading = null;
+        this.smoothedCents = null;
+        this.inTuneSince = null;
+
+        this.SMOOTHING = 0.2;       // Exponential smoothing factor for the needle
+        this.IN_TUNE_CENTS = 5;     // Within ±5 cents counts as in tune
+        this.IN_TUNE_HOLD_MS = 400; // ...once held this long
+        this.NEEDLE_RANGE = 50;     // Cents at the ends of the scale
+
+        this.NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+        this.draw();
+    }
+
+    setTuning(tuning) {
+        this.tuning = tuning;
+        if (this.targetString !== null && this.targetString >= tuning.strings.length) {
+            this.targetString = null;
+        }
+        this.reset();
+    }
+
+    setA4Frequency(frequency) {
+        this.a4Frequency = frequency;
+        this.reset();
+    }
+
+    // Tune against one open string (null for chromatic mode)
+    setTargetString(stringIndex) {
+        this.targetString = stringIndex;
+        this.reset();
+    }
+
+    reset() {
+        this.reading = null;
+        this.smoothedCents = null;
+        this.inTuneSince = null;
+        this.draw();
+    }
+
+    // Offset of a frequency from the target string or the nearest note
+    analyze(frequency) {
+        let targetFrequency;
+        let label;
+
+        if (this.targetString !== null && this.tuning) {
+            const string = this.tuning.strings[this.targetString];
+            targetFrequency = this.tuning.getFrequency(this.targetString, this.a4Frequency);
+            label = `${string.note}${string.octave}`;
+        } else {
+            const midi = Math.round(69 + 12 * Math.log2(frequency / this.a4Frequency));
+            targetFrequency = this.a4Frequency * Math.pow(2, (midi - 69) / 12);
+            label = `${this.NOTE_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+        }
+
+        return {
+            label: label,
+            frequency: frequency,
+            targetFrequency: targetFrequency,
+            cents: 1200 * Math.log2(frequency / targetFrequency)
+        };
+    }
+
+    // Feed a detector reading (null when nothing is sounding)
+    update(noteInfo, now = Date.now()) {
+        if (!noteInfo) {
+            this.reading = null;
+            this.smoothedCents = null;
+            this.inTuneSince = null;
+            this.draw();
+            return;
+        }
+
+        this.reading = this.analyze(noteInfo.frequency);
+        this.smoothedCents = this.smoothedCents === null ?
+            this.reading.cents :
+            this.smoothedCents + this.SMOOTHING * (this.reading.cents - this.smoothedCents);
+
+        if (Math.abs(this.smoothedCents) <= this.IN_TUNE_CENTS) {
+            if (this.inTuneSince === null) {
+                this.inTuneSince = now;
+            }
+        } else {
+            this.inTuneSince = null;
+        }
+
+        this.draw();
+    }
+
+    isInTune(now = Date.now()) {
+        return this.inTuneSince !== null && now - this.inTuneSince >= this.IN_TUNE_HOLD_MS;
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const centerX = width / 2;
+        const centerY = height - 40;
+        const radius = Math.min(width / 2 - 30, height - 80);
+        const maxAngle = Math.PI / 3; // ±60° for ±NEEDLE_RANGE cents
+
+        const angleFor = (cents) => {
+            const clamped = Math.max(-this.NEEDLE_RANGE, Math.min(this.NEEDLE_RANGE, cents));
+            return -Math.PI / 2 + (clamped / this.NEEDLE_RANGE) * maxAngle;
+        };
+
+        // Clear canvas
+        ctx.fillStyle = '#0a0b14';
+        ctx.fillRect(0, 0, width, height);
+
+        // In-tune zone
+        ctx.strokeStyle = 'rgba(72, 187, 120, 0.4)';
+        ctx.lineWidth = 14;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, angleFor(-this.IN_TUNE_CENTS), angleFor(this.IN_TUNE_CENTS));
+        ctx.stroke();
+
+        // Scale ticks every 10 cents
+        ctx.strokeStyle = '#2a2d42';
+        ctx.fillStyle = '#9caae5';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        for (let cents = -this.NEEDLE_RANGE; cents <= this.NEEDLE_RANGE; cents += 10) {
+            const angle = angleFor(cents);
+            const inner = cents === 0 ? radius - 20 : radius - 10;
+            ctx.lineWidth = cents === 0 ? 3 : 2;
+            ctx.beginPath();
+            ctx.moveTo(centerX + Math.cos(angle) * inner, centerY + Math.sin(angle) * inner);
+            ctx.lineTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+            ctx.stroke();
+            ctx.fillText(cents > 0 ? `+${cents}` : `${cents}`,
+                centerX + Math.cos(angle) * (radius + 16),
+                centerY + Math.sin(angle) * (radius + 16) + 4);
+        }
+
+        if (!this.reading) {
+            ctx.fillStyle = '#9caae5';
+            ctx.font = '18px Arial';
+            ctx.fillText(this.targetString !== null && this.tuning ?
+                `Play the open ${this.tuning.getStringNames()[this.targetString]} string` :
+                'Play a note', centerX, centerY - radius / 2);
+            return;
+        }
+
+        const inTune = this.isInTune();
+        const cents = this.smoothedCents;
+
+        // Needle
+        const angle = angleFor(cents);
+        ctx.strokeStyle = inTune ? '#48bb78' : '#d4dcfb';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY);
+        ctx.lineTo(centerX + Math.cos(angle) * (radius - 5), centerY + Math.sin(angle) * (radius - 5));
+        ctx.stroke();
+
+        ctx.fillStyle = inTune ? '#48bb78' : '#d4dcfb';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, 8, 0, 2 * Math.PI);
+        ctx.fill();
+
+        // Target note, offset and direction
+        ctx.font = 'bold 42px Arial';
+        ctx.fillText(this.reading.label, centerX, centerY - radius / 2);
+
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#9caae5';
+        const rounded = Math.round(cents);
+        ctx.fillText(`${rounded > 0 ? '+' : ''}${rounded} cents · ${this.reading.frequency.toFixed(1)} Hz ` +
+                     `(target ${this.reading.targetFrequency.toFixed(1)} Hz)`, centerX, centerY - radius / 2 + 28);
+
+        let status;
+        if (inTune) {
+            status = 'In tune';
+        } else if (Math.abs(cents) <= this.IN_TUNE_CENTS) {
+            status = 'Hold...';
+        } else {
+            status = cents < 0 ? 'Flat - tune up' : 'Sharp - tune down';
+        }
+        ctx.font = 'bold 18px Arial';
+        ctx.fillStyle = inTune ? '#48bb78' : (Math.abs(cents) <= this.IN_TUNE_CENTS ? '#d4dcfb' : '#f56565');
+        ctx.fillText(status, centerX, centerY + 28);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tuner;
+}
@@ -0,0 +1,163 @@
+// Tuning model shared by the fretboard, learning engine and audio detector
+
+// Built-in presets per instrument (see instruments.js), written from the thickest
+// string to the thinnest as players read them
+const TUNING_PRESETS = {
+    standard: { instrument: 'guitar6', name: 'Standard (E A D G B E)', notes: 'E2 A2 D3 G3 B3 E4' },
+    halfStepDown: { instrument: 'guitar6', name: 'Half-step down (Eb)', notes: 'D#2 G#2 C#3 F#3 A#3 D#4' },
+    dropD: { instrument: 'guitar6', name: 'Drop D (D A D G B E)', notes: 'D2 A2 D3 G3 B3 E4' },
+    dadgad: { instrument: 'guitar6', name: 'DADGAD', notes: 'D2 A2 D3 G3 A3 D4' },
+    openG: { instrument: 'guitar6', name: 'Open G (D G D G B D)', notes: 'D2 G2 D3 G3 B3 D4' },
+
+    guitar7Standard: { instrument: 'guitar7', name: 'Standard (B E A D G B E)', notes: 'B1 E2 A2 D3 G3 B3 E4' },
+    guitar7DropA: { instrument: 'guitar7', name: 'Drop A (A E A D G B E)', notes: 'A1 E2 A2 D3 G3 B3 E4' },
+
+    guitar8Standard: { instrument: 'guitar8', name: 'Standard (F# B E A D G B E)', notes: 'F#1 B1 E2 A2 D3 G3 B3 E4' },
+    guitar8DropE: { instrument: 'guitar8', name: 'Drop E (E B E A D G B E)', notes: 'E1 B1 E2 A2 D3 G3 B3 E4' },
+
+    bass4Standard: { instrument: 'bass4', name: 'Standard (E A D G)', notes: 'E1 A1 D2 G2' },
+    bass4DropD: { instrument: 'bass4', name: 'Drop D (D A D G)', notes: 'D1 A1 D2 G2' },
+
+    bass5Standard: { instrument: 'bass5', name: 'Standard (B E A D G)', notes: 'B0 E1 A1 D2 G2' },
+
+    // Re-entrant: the 4th string is tuned above the 3rd
+    ukuleleStandard: { instrument: 'ukulele', name: 'Standard re-entrant (G C E A)', notes: 'G4 C4 E4 A4' },
+    ukuleleLowG: { instrument: 'ukulele', name: 'Low G (G C E A)', notes: 'G3 C4 E4 A4' }
+};
+
+class Tuning {
+    constructor(id, name, strings) {
+        this.id = id;
+        this.name = name;
+
+        // Open strings ordered like Fretboard.strings: index 0 is the highest (thinnest) string
+        this.strings = strings.map(s => ({ note: s.note, octave: s.octave }));
+    }
+
+    static get NOTE_NAMES() {
+        return ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    }
+
+    // List presets for settings menus, optionally only those for one instrument
+    static getPresets(instrumentId = null) {
+        return Object.keys(TUNING_PRESETS)
+            .filter(id => !instrumentId || TUNING_PRESETS[id].instrument === instrumentId)
+            .map(id => ({ id, name: TUNING_PRESETS[id].name }));
+    }
+
+    static fromPreset(id) {
+        const preset = TUNING_PRESETS[id] || TUNING_PRESETS.standard;
+        return Tuning.parse(preset.notes, TUNING_PRESETS[id] ? id : 'standard', preset.name);
+    }
+
+    // Parse a tuning written thickest to thinnest string, e.g. "D2 A2 D3 G3 B3 E4"
+    static parse(text, id = 'custom', name = 'Custom') {
+        const tokens = text.trim().split(/[\s,]+/).filter(t => t.length > 0);
+        if (tokens.length === 0) {
+            throw new Error('Tuning is empty');
+        }
+
+        const strings = tokens.map(token => Tuning.parseNote(token)).reverse();
+        return new Tuning(id, name, strings);
+    }
+
+    // Parse a single note with octave ("Eb2", "f#3"); flats are stored as sharps
+    static parseNote(token) {
+        const match = /^([A-Ga-g])([#b]?)(\d)$/.exec(token);
+        if (!match) {
+            throw new Error(`Invalid note "${token}" (expected a note and octave, e.g. E2 or F#3)`);
+        }
+
+        const names = Tuning.NOTE_NAMES;
+        let index = names.indexOf(match[1].toUpperCase());
+        let octave = parseInt(match[3]);
+
+        if (match[2] === '#') index++;
+        if (match[2] === 'b') index--;
+
+        // Cb and B# cross the octave boundary
+        if (index < 0) { index += 12; octave--; }
+        if (index > 11) { index -= 12; octave++; }
+
+        return { note: names[index], octave: octave };
+    }
+
+    // Restore a saved tuning, falling back to standard if the data is unusable
+    static fromJSON(data) {
+        if (data instanceof Tuning) return data;
+        if (!data || !Array.isArray(data.strings) || data.strings.length === 0) {
+            return Tuning.fromPreset('standard');
+        }
+
+        const valid = data.strings.every(s =>
+            Tuning.NOTE_NAMES.includes(s.note) && Number.isInteger(s.octave));
+        if (!valid) {
+            return Tuning.fromPreset('standard');
+        }
+
+        return new Tuning(data.id || 'custom', data.name || 'Custom', data.strings);
+    }
+
+    // Tuning written thickest to thinnest string, the format accepted by parse()
+    toString() {
+        return [...this.strings].reverse().map(s => `${s.note}${s.octave}`).join(' ');
+    }
+
+    getMidi(stringIndex) {
+        const s = this.strings[stringIndex];
+        return (s.octave + 1) * 12 + Tuning.NOTE_NAMES.indexOf(s.note);
+    }
+
+    getFrequency(stringIndex, a4Frequency = 440) {
+        return a4Frequency * Math.pow(2, (this.getMidi(stringIndex) - 69) / 12);
+    }
+
+    // Frequency of the lowest open string (not necessarily the thickest one)
+    getLowestFrequency(a4Frequency = 440) {
+        let lowest = Infinity;
+        for (let i = 0; i < this.strings.length; i++) {
+            lowest = Math.min(lowest, this.getFrequency(i, a4Frequency));
+        }
+        return lowest;
+    }
+
+    // Short labels for each string ("Low E", "A", "High E")
+    // Repeated pitch classes get Low/High prefixes so every string is distinguishable
+    getStringNames() {
+        return this.strings.map((s, i) => {
+            const same = this.strings
+                .map((other, j) => ({ midi: this.getMidi(j), note: other.note }))
+                .filter(other => other.note === s.note);
+
+            if (same.length < 2) return s.note;
+
+            const midi = this.getMidi(i);
+            const min = Math.min(...same.map(o => o.midi));
+            const max = Math.max(...same.map(o => o.midi));
+            if (midi === min) return `Low ${s.note}`;
+            if (midi === max) return `High ${s.note}`;
+            return s.note;
+        });
+    }
+
+    // Strings in learning order (thickest to thinnest) with names like "Low E (6th)"
+    getLearningOrder() {
+        const names = this.getStringNames();
+        const order = [];
+        for (let i = this.strings.length - 1; i >= 0; i--) {
+            order.push({ index: i, name: `${names[i]} (${Tuning.ordinal(i + 1)})` });
+        }
+        return order;
+    }
+
+    static ordinal(n) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th');
+        return `${n}${suffix}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tuning;
+}